@@ -487,7 +487,7 @@ function animate() {
       }
 
       // Update entire GVRM (includes character.update() and updateByBones())
-      gvrm.update();
+      gvrm.update(camera);
     }
   }
 
@@ -9,12 +9,9 @@ export class Walker {
     this.gvrm = gvrm;
     this.index = index;
 
-    this.speed = 0.03; // Fixed speed
+    this.speed = 0.03; // Fixed speed, for clips walking in place
 
-    this.isWalking = false;
-    this.currentAnimation = 'idle';
-    this.walkingAction = null;
-    this.idleAction = null;
+    this.stateMachine = null;
 
     this.walkTimer = 0;
     this.walkDuration = 120 + Math.random() * 180; // Walk for 2-5 seconds
@@ -53,17 +50,18 @@ export class Walker {
     }
 
     try {
-      // Load Walking animation
-      await this.gvrm.changeFBX('../../assets/Walking.fbx');
-      this.walkingAction = this.gvrm.character.action;
-
-      // Load Idle animation
-      await this.gvrm.changeFBX('../../assets/Idle.fbx');
-      this.idleAction = this.gvrm.character.action;
-
-      // Start with Idle animation
-      this.idleAction.play();
-      this.currentAnimation = 'idle';
+      // Idle while the speed is 0, walking otherwise
+      this.stateMachine = await this.gvrm.createStateMachine({
+        states: {
+          idle: { url: '../../assets/Idle.fbx' },
+          walking: { url: '../../assets/Walking.fbx', options: { rootMotion: true } },
+        },
+        transitions: [
+          { from: 'idle', to: 'walking', duration: 0.3, warp: true, condition: (p) => p.speed > 0 },
+          { from: 'walking', to: 'idle', duration: 0.3, warp: true, condition: (p) => p.speed === 0 },
+        ],
+        initial: 'idle',
+      });
 
       this.animationsLoaded = true;
       console.log(`Walker ${this.index}: Animations loaded`);
@@ -86,14 +84,14 @@ export class Walker {
         this.shouldWalk = false;
         this.walkTimer = 0;
         this.stopDuration = 60 + Math.random() * 120;
-        this.switchToIdle();
+        this.stateMachine.set('speed', 0);
       }
     } else {
       if (this.walkTimer >= this.stopDuration) {
         this.shouldWalk = true;
         this.walkTimer = 0;
         this.walkDuration = 120 + Math.random() * 180;
-        this.switchToWalking();
+        this.stateMachine.set('speed', this.speed);
       }
     }
 
@@ -138,7 +136,7 @@ export class Walker {
     character.quaternion.copy(currentQuat);
 
     // Walk movement (move only after rotation is complete)
-    if (this.shouldWalk && this.isWalking && isRotationComplete) {
+    if (this.shouldWalk && this.stateMachine.state === 'walking' && isRotationComplete) {
       // Get forward vector (apply rotation0 compensation)
       const rot0 = character.rotation0.clone();
       const forwardVector = new THREE.Vector3(0, 0, 1);
@@ -151,9 +149,17 @@ export class Walker {
 
       forwardVector.applyQuaternion(compensatedQuaternion);
 
-      // Calculate new position
-      const newX = character.position.x + this.speed * forwardVector.x;
-      const newZ = character.position.z + this.speed * forwardVector.z;
+      // Calculate new position: by the displacement of the clip if it has root motion
+      // (already along the character orientation), at the fixed speed otherwise
+      let newX, newZ;
+      if (this.stateMachine.action.getClip().rootMotion) {
+        const rootMotion = this.gvrm.character.rootMotion;
+        newX = character.position.x + rootMotion.x;
+        newZ = character.position.z + rootMotion.z;
+      } else {
+        newX = character.position.x + this.speed * forwardVector.x;
+        newZ = character.position.z + this.speed * forwardVector.z;
+      }
 
       // Boundary check (with safety margin)
       const safetyMargin = 0.5;
@@ -174,46 +180,4 @@ export class Walker {
       }
     }
   }
-
-  switchToWalking() {
-    if (!this.walkingAction || !this.idleAction) return;
-
-    if (this.currentAnimation === 'walking') return;
-
-    const fadeTime = 0.3;
-    this.walkingAction.reset();
-    this.walkingAction.play();
-    this.walkingAction.crossFadeFrom(this.idleAction, fadeTime, true);
-
-    this.currentAnimation = 'walking';
-    this.isWalking = true;
-
-    // Update GVRM action property
-    if (this.gvrm.character.action !== this.walkingAction) {
-      this.gvrm.character.previousAction = this.gvrm.character.action;
-      this.gvrm.character.action = this.walkingAction;
-    }
-  }
-
-  switchToIdle() {
-    if (!this.walkingAction || !this.idleAction) return;
-
-    if (this.currentAnimation === 'idle') return;
-
-    const fadeTime = 0.3;
-    this.idleAction.enabled = true;
-    this.idleAction.setEffectiveWeight(1.0);
-    this.idleAction.reset();
-    this.idleAction.play();
-    this.idleAction.crossFadeFrom(this.walkingAction, fadeTime, true);
-
-    this.currentAnimation = 'idle';
-    this.isWalking = false;
-
-    // Update GVRM action property
-    if (this.gvrm.character.action !== this.idleAction) {
-      this.gvrm.character.previousAction = this.gvrm.character.action;
-      this.gvrm.character.action = this.idleAction;
-    }
-  }
 }
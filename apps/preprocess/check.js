@@ -20,12 +20,12 @@ export async function finalCheck(pmc, moveCameraAndDetect_, camera, scene, rende
       0,
     15 * Math.PI / 180, 30 * Math.PI / 180, 45 * Math.PI / 180, 60 * Math.PI / 180, 75 * Math.PI / 180];
 
-    // Important capsule indices
-    const headIndex = 5;       // 'J_Bip_C_HeadTop_End'
-    const leftHandIndex = 7;   // 'J_Bip_L_Hand'
-    const rightHandIndex = 9;  // 'J_Bip_R_Hand'
-    const leftFootIndex = 11;  // 'J_Bip_L_Foot'
-    const rightFootIndex = 13; // 'J_Bip_R_Foot'
+    // Important capsules (named by humanoid bone, see GVRMUtils.getPointsMeshCapsules)
+    const headCapsule = capsules.getObjectByName('headTop');
+    const leftHandCapsule = capsules.getObjectByName('leftHand');
+    const rightHandCapsule = capsules.getObjectByName('rightHand');
+    const leftFootCapsule = capsules.getObjectByName('leftFoot');
+    const rightFootCapsule = capsules.getObjectByName('rightFoot');
 
     let failedAngles = 0;
     const totalAngles = cameraAngles.length;
@@ -39,11 +39,11 @@ export async function finalCheck(pmc, moveCameraAndDetect_, camera, scene, rende
       await moveCameraAndDetect_(camera, scene, renderer, poseDetector, angle, radius, 1.25 * vrmScale, true);
 
       // Get 3D positions of important capsules
-      const headPosition = new THREE.Vector3().setFromMatrixPosition(capsules.children[headIndex].matrixWorld);
-      const leftHandPosition = new THREE.Vector3().setFromMatrixPosition(capsules.children[leftHandIndex].matrixWorld);
-      const rightHandPosition = new THREE.Vector3().setFromMatrixPosition(capsules.children[rightHandIndex].matrixWorld);
-      const leftFootPosition = new THREE.Vector3().setFromMatrixPosition(capsules.children[leftFootIndex].matrixWorld);
-      const rightFootPosition = new THREE.Vector3().setFromMatrixPosition(capsules.children[rightFootIndex].matrixWorld);
+      const headPosition = new THREE.Vector3().setFromMatrixPosition(headCapsule.matrixWorld);
+      const leftHandPosition = new THREE.Vector3().setFromMatrixPosition(leftHandCapsule.matrixWorld);
+      const rightHandPosition = new THREE.Vector3().setFromMatrixPosition(rightHandCapsule.matrixWorld);
+      const leftFootPosition = new THREE.Vector3().setFromMatrixPosition(leftFootCapsule.matrixWorld);
+      const rightFootPosition = new THREE.Vector3().setFromMatrixPosition(rightFootCapsule.matrixWorld);
 
       // Convert 3D positions to screen coordinates
       const headScreenPos = headPosition.clone().project(camera);
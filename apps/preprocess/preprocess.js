@@ -20,9 +20,9 @@ async function assignSplatsToBones(gs, capsules, capsuleBoneIndex, fast = false)
     if (fast && i % 10 !== 0) {  // CHANGED
       bestCi = bestCi;
       gs.splatBoneIndices.push(capsuleBoneIndex[bestCi]);
-      gs.colors[i * 4 + 0] = GVRMUtils.colors[bestCi][0];
-      gs.colors[i * 4 + 1] = GVRMUtils.colors[bestCi][1];
-      gs.colors[i * 4 + 2] = GVRMUtils.colors[bestCi][2];
+      gs.colors[i * 4 + 0] = GVRMUtils.colors[bestCi % GVRMUtils.colors.length][0];
+      gs.colors[i * 4 + 1] = GVRMUtils.colors[bestCi % GVRMUtils.colors.length][1];
+      gs.colors[i * 4 + 2] = GVRMUtils.colors[bestCi % GVRMUtils.colors.length][2];
       continue;
     }
     let targetPoint = new THREE.Vector3(gs.centers0[i * 3 + 0], gs.centers0[i * 3 + 1], gs.centers0[i * 3 + 2]);
@@ -64,9 +64,9 @@ async function assignSplatsToBones(gs, capsules, capsuleBoneIndex, fast = false)
 
     gs.splatBoneIndices.push(capsuleBoneIndex[bestCi]);
 
-    gs.colors[i * 4 + 0] = GVRMUtils.colors[bestCi][0];
-    gs.colors[i * 4 + 1] = GVRMUtils.colors[bestCi][1];
-    gs.colors[i * 4 + 2] = GVRMUtils.colors[bestCi][2];
+    gs.colors[i * 4 + 0] = GVRMUtils.colors[bestCi % GVRMUtils.colors.length][0];
+    gs.colors[i * 4 + 1] = GVRMUtils.colors[bestCi % GVRMUtils.colors.length][1];
+    gs.colors[i * 4 + 2] = GVRMUtils.colors[bestCi % GVRMUtils.colors.length][2];
 
     if (i % 100 == 0) {
       let progress = (i / gs.splatCount) * 100;
@@ -84,7 +84,7 @@ async function assignSplatsToBones(gs, capsules, capsuleBoneIndex, fast = false)
 
 
 async function assignSplatsToPoints(character, gs, capsules, capsuleBoneIndex, fast = false) {
-  const skinnedMesh = character.currentVrm.scene.children[character.skinnedMeshIndex];
+  const skinnedMesh = character.skinnedMesh;
   gs.splatVertexIndices = [];
 
   const position = skinnedMesh.geometry.getAttribute('position');
@@ -94,6 +94,9 @@ async function assignSplatsToPoints(character, gs, capsules, capsuleBoneIndex, f
     boneVertexIndices[value] = [];
   });
 
+  // vertices moved by spring bones go to their capsules (see GVRMUtils.getSpringVertexCapsules)
+  const springVertexCapsules = GVRMUtils.getSpringVertexCapsules(skinnedMesh, capsules, capsuleBoneIndex);
+
   // ``vrm mesh の'' 各頂点がどのboneに一番近いかを確認 (not splats)
   // splatBoneIndices に含まれる bone の頂点だけ使う
   for (let i = 0; i < position.count; i++) {
@@ -101,12 +104,14 @@ async function assignSplatsToPoints(character, gs, capsules, capsuleBoneIndex, f
     const skinnedVertex = skinnedMesh.applyBoneTransform(i, vertex);
     skinnedVertex.applyMatrix4(character.currentVrm.scene.matrixWorld);
 
+    const springCi = springVertexCapsules[i];
     let minDistance = Infinity;
-    let bestCi = undefined;
+    let bestCi = springCi === -1 ? undefined : springCi;
 
     // Find the nearest triangle in the capsule  // skinnedWeight might be used (?)
-    for (let ci = 0; ci < capsules.children.length; ci++) {
+    for (let ci = 0; ci < capsules.children.length && springCi === -1; ci++) {
       const capsule = capsules.children[ci];
+      if (capsule.userData.springBone) continue;
       const capsuleGeometry = capsule.geometry;
       const capsulePosition = capsuleGeometry.getAttribute('position');
       const index = capsuleGeometry.index;
@@ -214,6 +219,9 @@ async function assignSplatsToPoints(character, gs, capsules, capsuleBoneIndex, f
     gs.splatRelativePoses.push(relativePos.x, relativePos.y, relativePos.z);
   }
 
+  // bind the splats to the nearest triangles around their vertices
+  Object.assign(gs, GVRMUtils.getSplatTriangles(skinnedMesh, gs.splatVertexIndices, gs.splatRelativePoses));
+
   document.getElementById('loaddisplay').innerHTML = (100).toFixed(1) + '% (3/3)';
 }
 
@@ -222,7 +230,10 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
   const task0 = loadingSpinner.addTask('Loading...');
 
   const parser = new PLYParser();
-  const plyData = await parser.parsePLY(gsPath, true);
+  const plyData = await parser.parsePLYColumns(gsPath, true);
+  // splats are handled as lists of indices into these columns
+  const { x: X, y: Y, z: Z } = plyData.columns;
+  const allIndices = Array.from({ length: plyData.vertexCount }, (_, i) => i);
 
   loadingSpinner.removeTask(task0);
   const task1 = loadingSpinner.addTask('Cleaning splats...');
@@ -244,13 +255,13 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
 
     const N = 5;
 
-    let radiusFilteredVertices = vertices.filter((vertex, i) =>
-      Math.abs(vertex.y) < distY &&
-      Math.sqrt((vertex.x - centroid.x) ** 2 + (vertex.z - centroid.z) ** 2) < distXZ * thresh
+    let radiusFilteredVertices = vertices.filter(i =>
+      Math.abs(Y[i]) < distY &&
+      Math.sqrt((X[i] - centroid.x) ** 2 + (Z[i] - centroid.z) ** 2) < distXZ * thresh
     );
 
     // NOTE: gs rotation
-    const yCoords = radiusFilteredVertices.map(vertex => Math.round(-vertex.y * 100));
+    const yCoords = radiusFilteredVertices.map(i => Math.round(-Y[i] * 100));
     const minY = yCoords.reduce((min, y) => Math.min(min, y), yCoords[0]) - N;
     const maxY = yCoords.reduce((max, y) => Math.max(max, y), yCoords[0]) + N;
 
@@ -259,8 +270,8 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
       frequencyMap.set(y, 0);
     }
 
-    radiusFilteredVertices.forEach(vertex => {
-      const binKey = Math.round(-vertex.y * 100);
+    radiusFilteredVertices.forEach(i => {
+      const binKey = Math.round(-Y[i] * 100);
       frequencyMap.set(binKey, frequencyMap.get(binKey) + 1);
     });
 
@@ -315,9 +326,9 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
 
     // validation
     const ymin = (heights.max - heights.min) * 0.05 + heights.min;
-    const testFilteredVertices = vertices.filter((vertex, i) =>
-      Math.sqrt((vertex.x - centroid.x) ** 2 + (vertex.z - centroid.z) ** 2) < distXZ &&
-      ymin < -vertex.y && -vertex.y < heights.max
+    const testFilteredVertices = vertices.filter(i =>
+      Math.sqrt((X[i] - centroid.x) ** 2 + (Z[i] - centroid.z) ** 2) < distXZ &&
+      ymin < -Y[i] && -Y[i] < heights.max
     );
 
     // 高さの差が十分あるかチェック
@@ -325,8 +336,8 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
 
     // 外周部の点群をチェック
     const outerRingWidth = 0.02; // 外周2cm
-    const outerRingVertices = testFilteredVertices.filter(vertex => {
-      const distance = Math.sqrt((vertex.x - centroid.x) ** 2 + (vertex.z - centroid.z) ** 2);
+    const outerRingVertices = testFilteredVertices.filter(i => {
+      const distance = Math.sqrt((X[i] - centroid.x) ** 2 + (Z[i] - centroid.z) ** 2);
       return distance > (distXZ - outerRingWidth) && distance <= distXZ;
     });
     const outerRingRatio = outerRingVertices.length / testFilteredVertices.length;
@@ -363,9 +374,9 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
 
     const ymin = (heights.max - heights.min) * 0.1 + heights.min;  // PARAM
     const ymax = (heights.max - heights.min) * 0.2 + heights.min;  // PARAM
-    const vertices_ = vertices.filter((vertex, i) =>
-      Math.sqrt((vertex.x - centroid.x) ** 2 + (vertex.z - centroid.z) ** 2) < distXZ &&  // PARAM
-      ymin < -vertex.y && -vertex.y < ymax
+    const vertices_ = vertices.filter(i =>
+      Math.sqrt((X[i] - centroid.x) ** 2 + (Z[i] - centroid.z) ** 2) < distXZ &&  // PARAM
+      ymin < -Y[i] && -Y[i] < ymax
     );
 
     // only for debugging
@@ -374,8 +385,8 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
       throw new Error("calculateCentroid: no vertices found [ErrorID 5]");
     }
 
-    const sumX = vertices_.reduce((sum, vertex) => sum + vertex.x, 0);
-    const sumZ = vertices_.reduce((sum, vertex) => sum + vertex.z, 0);
+    const sumX = vertices_.reduce((sum, i) => sum + X[i], 0);
+    const sumZ = vertices_.reduce((sum, i) => sum + Z[i], 0);
 
     const centroidFeet = { x: sumX / vertices_.length, z: sumZ / vertices_.length };
 
@@ -397,9 +408,9 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
 
     const ymin = (heights.max - heights.min) * 0.9 + heights.min;  // PARAM
     const ymax = (heights.max - heights.min) * 1.0 + heights.min;  // PARAM
-    const vertices_ = vertices.filter((vertex, i) =>
-      Math.sqrt((vertex.x - centroid.x) ** 2 + (vertex.z - centroid.z) ** 2) < distXZ &&  // PARAM
-      ymin < -vertex.y && -vertex.y < ymax
+    const vertices_ = vertices.filter(i =>
+      Math.sqrt((X[i] - centroid.x) ** 2 + (Z[i] - centroid.z) ** 2) < distXZ &&  // PARAM
+      ymin < -Y[i] && -Y[i] < ymax
     );
 
     // only for debugging
@@ -408,8 +419,8 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
       throw new Error("calculateCentroid: no vertices found [ErrorID 5]");
     }
 
-    const sumX = vertices_.reduce((sum, vertex) => sum + vertex.x, 0);
-    const sumZ = vertices_.reduce((sum, vertex) => sum + vertex.z, 0);
+    const sumX = vertices_.reduce((sum, i) => sum + X[i], 0);
+    const sumZ = vertices_.reduce((sum, i) => sum + Z[i], 0);
 
     const centroidHead = { x: sumX / vertices_.length, z: sumZ / vertices_.length };
 
@@ -427,10 +438,10 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
 
   function detectShoes(filteredVertices1, heights, centroid) {
     const ymin = (heights.max - heights.min) * 0.05 + heights.min;  // PARAM
-    const vertices = filteredVertices1.filter(vertex =>
-      -vertex.y < ymin &&
-      Math.sqrt(vertex.x * vertex.x + vertex.z * vertex.z) < 0.5
-      // Math.sqrt((vertex.x - centroid.x) ** 2 + (vertex.z - centroid.z) ** 2) < 0.5
+    const vertices = filteredVertices1.filter(i =>
+      -Y[i] < ymin &&
+      Math.sqrt(X[i] * X[i] + Z[i] * Z[i]) < 0.5
+      // Math.sqrt((X[i] - centroid.x) ** 2 + (Z[i] - centroid.z) ** 2) < 0.5
     );
 
     // xy 平面を0.01m*0.01mのグリッドに切って、frequencyMap を作る
@@ -441,9 +452,9 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
         frequencyMap.set(`${x},${z}`, { sum: 0, count: 0 });
       }
     }
-    vertices.forEach(vertex => {
-      const binKey = `${Math.round(vertex.x * 100)},${Math.round(vertex.z * 100)}`;
-      frequencyMap.get(binKey).sum += (- vertex.y - heights.min);
+    vertices.forEach(i => {
+      const binKey = `${Math.round(X[i] * 100)},${Math.round(Z[i] * 100)}`;
+      frequencyMap.get(binKey).sum += (- Y[i] - heights.min);
       frequencyMap.get(binKey).count += 1;
     });
 
@@ -493,20 +504,20 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
     }
 
     // filteredVertices1 のうち、
-    // -vertex.y >= yminならキープ
-    // -vertex.y < ymin の場合、Math.sqrt(vertex.x * vertex.x + vertex.z * vertex.z) < 0.5 で、かつ
-    const filteredVertices3 = filteredVertices1.filter(vertex =>
-      -vertex.y >= ymin ||
-      (-vertex.y >= heights.min && -vertex.y <= ymin && Math.sqrt(vertex.x * vertex.x + vertex.z * vertex.z) < 0.5 &&
-        frequencyMap.get(`${Math.round(vertex.x * 100)},${Math.round(vertex.z * 100)}`).keep)
+    // -Y[i] >= yminならキープ
+    // -Y[i] < ymin の場合、Math.sqrt(X[i] * X[i] + Z[i] * Z[i]) < 0.5 で、かつ
+    const filteredVertices3 = filteredVertices1.filter(i =>
+      -Y[i] >= ymin ||
+      (-Y[i] >= heights.min && -Y[i] <= ymin && Math.sqrt(X[i] * X[i] + Z[i] * Z[i]) < 0.5 &&
+        frequencyMap.get(`${Math.round(X[i] * 100)},${Math.round(Z[i] * 100)}`).keep)
     );
 
     // 捨てた点群を filteredVertices4 に追加
-    const filteredVertices4 = filteredVertices1.filter(vertex =>
-      -vertex.y < heights.min ||
-      (-vertex.y < ymin && Math.sqrt(vertex.x * vertex.x + vertex.z * vertex.z) >= 0.5) ||
-      (-vertex.y < ymin && Math.sqrt(vertex.x * vertex.x + vertex.z * vertex.z) < 0.5 &&
-        !frequencyMap.get(`${Math.round(vertex.x * 100)},${Math.round(vertex.z * 100)}`).keep)
+    const filteredVertices4 = filteredVertices1.filter(i =>
+      -Y[i] < heights.min ||
+      (-Y[i] < ymin && Math.sqrt(X[i] * X[i] + Z[i] * Z[i]) >= 0.5) ||
+      (-Y[i] < ymin && Math.sqrt(X[i] * X[i] + Z[i] * Z[i]) < 0.5 &&
+        !frequencyMap.get(`${Math.round(X[i] * 100)},${Math.round(Z[i] * 100)}`).keep)
     );
 
     return { filteredVertices3: filteredVertices3, filteredVertices4: filteredVertices4 };
@@ -527,19 +538,19 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
 
   {
     // expand the search range from the origin to find the target. 0.3 ~ max 3.0
-    ({ heights, distXZ } = await calculateHeights(plyData.vertices, null, null, 0.3, 1.0, 1));
-    centroid = await calculateCentroidFeet(plyData.vertices, heights, centroid, distXZ);
+    ({ heights, distXZ } = await calculateHeights(allIndices, null, null, 0.3, 1.0, 1));
+    centroid = await calculateCentroidFeet(allIndices, heights, centroid, distXZ);
 
-    ({ heights, distXZ } = await calculateHeights(plyData.vertices, heights, centroid, 0.3, 1.0, 2));
-    centroid = await calculateCentroidFeet(plyData.vertices, heights, centroid, distXZ);
+    ({ heights, distXZ } = await calculateHeights(allIndices, heights, centroid, 0.3, 1.0, 2));
+    centroid = await calculateCentroidFeet(allIndices, heights, centroid, distXZ);
 
-    const filteredVertices6 = plyData.vertices.filter((vertex, i) =>
-      Math.sqrt((vertex.x - centroid.x) ** 2 + (vertex.z - centroid.z) ** 2) <= distXZ &&
-      -vertex.y >= heights.min - 0.5 && -vertex.y <= heights.max + 0.5
+    const filteredVertices6 = allIndices.filter(i =>
+      Math.sqrt((X[i] - centroid.x) ** 2 + (Z[i] - centroid.z) ** 2) <= distXZ &&
+      -Y[i] >= heights.min - 0.5 && -Y[i] <= heights.max + 0.5
     );
-    const filteredVertices7 = plyData.vertices.filter((vertex, i) =>
-      Math.sqrt((vertex.x - centroid.x) ** 2 + (vertex.z - centroid.z) ** 2) > distXZ ||
-      -vertex.y < heights.min - 0.5 || -vertex.y > heights.max + 0.5
+    const filteredVertices7 = allIndices.filter(i =>
+      Math.sqrt((X[i] - centroid.x) ** 2 + (Z[i] - centroid.z) ** 2) > distXZ ||
+      -Y[i] < heights.min - 0.5 || -Y[i] > heights.max + 0.5
     );
 
     centroid = await calculateCentroidFeet(filteredVertices6, heights, centroid, distXZ);
@@ -551,12 +562,14 @@ async function cleanSplats(gsPath, loadingSpinner, hints = null, scene = null, c
     centroidHead = await calculateCentroidHead(filteredVertices3, heights, centroid, distXZ);
 
     const newHeader1 = createNewHeader(plyData.header, filteredVertices3.length);
-    const newPlyData1 = parser.createPLYFile(newHeader1, filteredVertices3, plyData.vertexSize);
+    const newPlyData1 = parser.createPLYFile(
+      newHeader1, plyData, plyData.vertexSize, plyData.elementData, 'binary_little_endian', filteredVertices3);
     const blob1 = new Blob([newPlyData1], { type: 'application/octet-stream' });
     const url1 = URL.createObjectURL(blob1);
 
     const newHeader2 = createNewHeader(plyData.header, filteredVertices5.length);
-    const newPlyData2 = parser.createPLYFile(newHeader2, filteredVertices5, plyData.vertexSize);
+    const newPlyData2 = parser.createPLYFile(
+      newHeader2, plyData, plyData.vertexSize, plyData.elementData, 'binary_little_endian', filteredVertices5);
     const blob2 = new Blob([newPlyData2], { type: 'application/octet-stream' });
     const url2 = URL.createObjectURL(blob2);
 
@@ -693,7 +706,8 @@ function getSearchAreaCircle(centroid, distXZ, floorY) {
 }
 
 
-export async function preprocess(vrmPath, gsPath, scene, camera, renderer, stage = null, useGPU = false, nobg = false, nocheck = false, fileName = null, savePly = false, hints = null) {
+// springBones: bind the splats around spring bone chains (hair, skirts) to them, see GVRMUtils.getPointsMeshCapsules
+export async function preprocess(vrmPath, gsPath, scene, camera, renderer, stage = null, useGPU = false, nobg = false, nocheck = false, fileName = null, savePly = false, hints = null, splatOptions = {}, springBones = false) {
   let gs, character, gs0, gsPaths, centroid, heights, distXZ, centroidHead, circle, circleHead, radius, boneOperations;
   const gsPathOrig = gsPath;
   let vrmScale = null;
@@ -1107,7 +1121,7 @@ export async function preprocess(vrmPath, gsPath, scene, camera, renderer, stage
     }
 
 
-    const { pmc, capsuleBoneIndex } = GVRMUtils.getPointsMeshCapsules(character);
+    const { pmc, capsuleBoneIndex, capsuleSceneBoneIndex } = GVRMUtils.getPointsMeshCapsules(character, { springBones });
     GVRMUtils.addPMC(scene, pmc);
     GVRMUtils.visualizePMC(pmc, false);
     renderer.render(scene, camera);
@@ -1140,14 +1154,37 @@ export async function preprocess(vrmPath, gsPath, scene, camera, renderer, stage
           await assignSplatsToBones(gs, pmc.capsules, capsuleBoneIndex);
           await assignSplatsToPoints(character, gs, pmc.capsules, capsuleBoneIndex);
         } else {
-          await assignSplatsToBonesGL(gs, pmc.capsules, capsuleBoneIndex);
-          await assignSplatsToPointsGL(character, gs, pmc.capsules, capsuleBoneIndex);
+          // the GL passes store indices in 8 bits: run them on capsule indices, then map to the bones
+          // (spring bones can be past the 256th bone)
+          if (pmc.capsules.children.length > 256) {
+            throw new Error(`Too many capsules for the GPU preprocess (${pmc.capsules.children.length} > 256)`);
+          }
+          const capsuleIndices = capsuleBoneIndex.map((_, ci) => ci);
+          await assignSplatsToBonesGL(gs, pmc.capsules, capsuleIndices);
+          await assignSplatsToPointsGL(character, gs, pmc.capsules, capsuleIndices, capsuleBoneIndex);
+          gs.splatBoneIndices = gs.splatBoneIndices.map(ci => capsuleBoneIndex[ci]);
         }
+        // spring bones only skin the splats (through their vertices), the splat scenes stay with the body bones
+        const sceneBoneIndex = new Map(capsuleBoneIndex.map((boneIndex, ci) => [boneIndex, capsuleSceneBoneIndex[ci]]));
+        gs.splatBoneIndices = gs.splatBoneIndices.map(boneIndex => sceneBoneIndex.get(boneIndex));
+
+        const vrmBuffer = await fetch(vrmPath).then(response => response.arrayBuffer());
+        const plyBuffer = await fetch(gsPath).then(response => response.arrayBuffer());
+        const content = await gvrm.save(vrmBuffer, plyBuffer, boneOperations, vrmScale, { splatOptions });
+
+        let gvrmFileName = fileName;
+        if (!gvrmFileName && gsPath.endsWith('.ply')) {
+          gvrmFileName = gsPath.split('/').pop().replace('.ply', '.gvrm');
+        } else if (!gvrmFileName) {  // blob
+          gvrmFileName = gsPath.split('/').pop() + '.gvrm';
+        }
+        GVRM.download(content, gvrmFileName);
 
-        await gvrm.save(vrmPath, gsPath, boneOperations, vrmScale, fileName, savePly);
-
-        // Store the new URL before cleaning up old objects
-        const newGvrmUrl = gvrm.url;
+        if (savePly) {
+          // the processed PLY (cleaned splats), whatever the payload format of the .gvrm
+          console.log('savePly!');
+          GVRM.download(plyBuffer, gvrmFileName.replace('.gvrm', '_processed.ply'));
+        }
 
         // Remove old PMC and GS before reload (equivalent to key parts of removeGVRM)
         if (gvrm.pmc) {
@@ -1161,7 +1198,7 @@ export async function preprocess(vrmPath, gsPath, scene, camera, renderer, stage
         await new Promise(resolve => setTimeout(resolve, 100));
 
         // Reload GVRM to refresh internal state (like debug rm&load but without expensive removeGVRM)
-        await gvrm.load(newGvrmUrl, scene, camera, renderer, fileName);
+        await gvrm.load(content, scene, camera, renderer, fileName);
 
         if (stage < 1 && circle) {
           scene.remove(circle);
@@ -1214,7 +1251,7 @@ export async function preprocess(vrmPath, gsPath, scene, camera, renderer, stage
       const el = document.getElementById("error-display");
       if (el) el.style.visibility = "hidden";
 
-      const promise1 = preprocess(vrmPath, gsPathOrig, scene, camera, renderer, stage, useGPU, nobg, nocheck, fileName, savePly, hints);
+      const promise1 = preprocess(vrmPath, gsPathOrig, scene, camera, renderer, stage, useGPU, nobg, nocheck, fileName, savePly, hints, splatOptions, springBones);
       return promise1;
     }
     await saveError(`Preprocessing failed: ${error.message}`, fileName || "unknown");
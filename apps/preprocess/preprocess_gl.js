@@ -262,7 +262,7 @@ export async function assignSplatsToBonesGL(gs, capsules, capsuleBoneIndex) {
     // Create texture for capsule colors
     const capsuleColorsData = new Float32Array(capsules.children.length * 4);
     for (let ci = 0; ci < capsules.children.length; ci++) {
-      const colorArray = GVRMUtils.colors[ci];
+      const colorArray = GVRMUtils.colors[ci % GVRMUtils.colors.length];
       capsuleColorsData[ci * 4 + 0] = colorArray[0] / 255.0; // R (normalize to 0-1)
       capsuleColorsData[ci * 4 + 1] = colorArray[1] / 255.0; // G
       capsuleColorsData[ci * 4 + 2] = colorArray[2] / 255.0; // B
@@ -578,10 +578,12 @@ void main() {
  * Finds the closest vertex for each splat using GPU acceleration
  * @param {Object} character - Character object containing VRM data
  * @param {Object} gs - Gaussian Splats object
+ * @param {Array} capsuleBoneIndex - Mapping from capsule index to the index used by the passes (8 bits)
+ * @param {Array} boneIndices - Mapping from capsule index to skeleton bone index
  * @returns {Promise<Array>} Promise that resolves to an array of vertex indices
  */
-export async function assignSplatsToPointsGL(character, gs, capsules, capsuleBoneIndex, fast = false) {
-  const skinnedMesh = character.currentVrm.scene.children[character.skinnedMeshIndex];
+export async function assignSplatsToPointsGL(character, gs, capsules, capsuleBoneIndex, boneIndices = capsuleBoneIndex, fast = false) {
+  const skinnedMesh = character.skinnedMesh;
   gs.splatVertexIndices = [];
 
   const position = skinnedMesh.geometry.getAttribute('position');
@@ -591,6 +593,10 @@ export async function assignSplatsToPointsGL(character, gs, capsules, capsuleBon
     boneVertexIndices[value] = [];
   });
 
+  // vertices moved by spring bones go to their capsules (see GVRMUtils.getSpringVertexCapsules),
+  // found by the skeleton bone of each capsule (boneIndices) even if the passes run on capsule indices
+  const springVertexCapsules = GVRMUtils.getSpringVertexCapsules(skinnedMesh, capsules, boneIndices);
+
   // ``vrm mesh の'' 各頂点がどのboneに一番近いかを確認 (not splats)
   // splatBoneIndices に含まれる bone の頂点だけ使う
   for (let i = 0; i < position.count; i++) {
@@ -598,12 +604,14 @@ export async function assignSplatsToPointsGL(character, gs, capsules, capsuleBon
     const skinnedVertex = skinnedMesh.applyBoneTransform(i, vertex);
     skinnedVertex.applyMatrix4(character.currentVrm.scene.matrixWorld);
 
+    const springCi = springVertexCapsules[i];
     let minDistance = Infinity;
-    let bestCi = undefined;
+    let bestCi = springCi === -1 ? undefined : springCi;
 
     // Find the nearest triangle in the capsule  // skinnedWeight might be used (?)
-    for (let ci = 0; ci < capsules.children.length; ci++) {
+    for (let ci = 0; ci < capsules.children.length && springCi === -1; ci++) {
       const capsule = capsules.children[ci];
+      if (capsule.userData.springBone) continue;
       const capsuleGeometry = capsule.geometry;
       const capsulePosition = capsuleGeometry.getAttribute('position');
       const index = capsuleGeometry.index;
@@ -894,6 +902,9 @@ export async function assignSplatsToPointsGL(character, gs, capsules, capsuleBon
       gs.splatRelativePoses.push(relativePos.x, relativePos.y, relativePos.z);
     }
 
+    // bind the splats to the nearest triangles around their vertices
+    Object.assign(gs, GVRMUtils.getSplatTriangles(skinnedMesh, gs.splatVertexIndices, gs.splatRelativePoses));
+
     document.getElementById('loaddisplay').innerHTML = (100).toFixed(1) + '% (3/3)';
 
   } catch (error) {
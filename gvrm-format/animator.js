@@ -0,0 +1,141 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+import * as THREE from 'three';
+
+
+/**
+ * A small animation state machine on an AnimationMixer: named states bound to clips, transitions with
+ * durations and conditions on parameters, and events. Usually created by VRMCharacter.createStateMachine.
+ *
+ * Events (addEventListener):
+ * - 'transition' { from, to, action, previousAction, duration }: a state is entered (from is null at start)
+ * - 'finished' { state }: a state with loop: false has finished
+ * - any name in states[name].events: { state, time }, when the clip passes the time
+ */
+export class AnimationStateMachine extends THREE.EventDispatcher {
+  /**
+   * @param {THREE.AnimationMixer} mixer
+   * @param {Object} config
+   * @param {Object<string, Object>} config.states - name -> { clip, loop = true, timeScale = 1, events = [{ time, name }] }
+   * @param {Object[]} [config.transitions] - { from (a name or '*'), to, duration = 0.3, warp = false,
+   *   condition(parameters, machine), exitTime (0-1 of the clip) }, the first allowed one is taken
+   * @param {Object} [config.parameters] - Initial parameters, speed: 0 and grounded: true by default
+   * @param {string} [config.initial] - The first state, the first of states by default
+   */
+  constructor(mixer, { states, transitions = [], parameters = {}, initial = null }) {
+    super();
+    this.mixer = mixer;
+    this.transitions = transitions;
+    this.parameters = { speed: 0, grounded: true, ...parameters };
+    this.initial = initial ?? Object.keys(states)[0];
+    this.state = null;
+    this.action = null;
+    this.previousTime = 0;
+
+    this.states = {};
+    for (const [name, state] of Object.entries(states)) {
+      if (!state.clip) {
+        throw new Error(`No clip for the state ${name}`);
+      }
+      const action = mixer.clipAction(state.clip);
+      if (state.loop === false) {
+        action.setLoop(THREE.LoopOnce);
+        action.clampWhenFinished = true;
+      }
+      this.states[name] = { timeScale: 1, events: [], ...state, action };
+    }
+    for (const transition of transitions) {
+      for (const name of [transition.from, transition.to]) {
+        if (name !== '*' && !this.states[name]) {
+          throw new Error(`Unknown state ${name} in transitions`);
+        }
+      }
+    }
+    if (!this.states[this.initial]) {
+      throw new Error(`Unknown state ${this.initial}`);
+    }
+
+    this.onFinished = (event) => {
+      if (event.action === this.action) {
+        this.dispatchEvent({ type: 'finished', state: this.state });
+      }
+    };
+    mixer.addEventListener('finished', this.onFinished);
+  }
+
+  // crossfade from an action playing before the machine (if any)
+  start(fromAction = null, duration = 0.3) {
+    this.action = fromAction;
+    this.enter(this.initial, duration);
+  }
+
+  set(name, value) {
+    this.parameters[name] = value;
+  }
+
+  get(name) {
+    return this.parameters[name];
+  }
+
+  // force a transition, regardless of the conditions
+  play(name, duration = 0.3, warp = false) {
+    if (!this.states[name]) {
+      throw new Error(`Unknown state ${name}`);
+    }
+    this.enter(name, duration, warp);
+  }
+
+  // before mixer.update(deltaTime)
+  update(deltaTime) {
+    if (!this.state) return;
+
+    const state = this.states[this.state];
+    const duration = state.clip.duration;
+    const time = this.action.time;
+
+    // events passed since the last update (the clip may have looped)
+    for (const event of state.events) {
+      const passed = time >= this.previousTime ?
+        this.previousTime < event.time && event.time <= time :
+        this.previousTime < event.time || event.time <= time;
+      if (passed) {
+        this.dispatchEvent({ type: event.name, state: this.state, time: event.time });
+      }
+    }
+    this.previousTime = time;
+
+    const progress = duration > 0 ? time / duration : 1;
+    for (const transition of this.transitions) {
+      if (transition.from !== '*' && transition.from !== this.state) continue;
+      if (transition.to === this.state) continue;
+      if (transition.exitTime !== undefined && progress < transition.exitTime) continue;
+      if (transition.condition && !transition.condition(this.parameters, this)) continue;
+      this.enter(transition.to, transition.duration ?? 0.3, transition.warp ?? false);
+      break;
+    }
+  }
+
+  enter(name, duration, warp = false) {
+    const from = this.state;
+    const previousAction = this.action;
+    const state = this.states[name];
+    const action = state.action;
+
+    action.reset().setEffectiveTimeScale(state.timeScale).setEffectiveWeight(1).play();
+    if (previousAction && previousAction !== action) {
+      action.crossFadeFrom(previousAction, duration, warp);
+    }
+
+    this.state = name;
+    this.action = action;
+    this.previousTime = 0;
+    this.dispatchEvent({ type: 'transition', from, to: name, action, previousAction, duration });
+  }
+
+  // detach from the mixer, the actions keep playing
+  dispose() {
+    this.mixer.removeEventListener('finished', this.onFinished);
+  }
+}
@@ -0,0 +1,267 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// DOM-free reader/writer for the .gvrm container (a zip of model.vrm, the splat payload, data.json
+// and splats.bin). Works on ArrayBuffers, so it can be used from Node as well as from the browser.
+// The splat payload is model.ply by default; other encodings are declared in data.splatPayload (see payload.js).
+
+import JSZip from 'jszip'
+import { migrateGVRMData } from './schema.js';
+
+
+export const VRM_ENTRY = 'model.vrm';
+export const PLY_ENTRY = 'model.ply';
+export const DATA_ENTRY = 'data.json';
+export const SPLATS_ENTRY = 'splats.bin';
+
+// per-splat arrays that can be stored in splats.bin instead of data.json
+const SPLAT_ATTRIBUTES = {
+  splatVertexIndices: { itemSize: 1, types: ['uint32'] },
+  splatBoneIndices: { itemSize: 1, types: ['uint8', 'uint16'] },
+  splatRelativePoses: { itemSize: 3, types: ['float32', 'float16'] },
+  // triangle binding (optional)
+  splatTriangles: { itemSize: 3, types: ['uint32'] },
+  splatBarycentrics: { itemSize: 2, types: ['float32'] },
+  splatNormalOffsets: { itemSize: 1, types: ['float32'] },
+  // level of detail (optional)
+  splatLods: { itemSize: 1, types: ['uint8'] },
+};
+
+const TYPED_ARRAYS = {
+  uint8: Uint8Array,
+  uint16: Uint16Array,
+  uint32: Uint32Array,
+  float32: Float32Array,
+  float16: Uint16Array,  // stored as raw half-float bits
+};
+
+
+/**
+ * Read a .gvrm container. data.json is migrated to the current formatVersion.
+ * @param {ArrayBuffer|Uint8Array|Blob} buffer - The .gvrm file contents
+ * @returns {Promise<{vrm: ArrayBuffer, ply: (ArrayBuffer|undefined), splats: ArrayBuffer[], data: Object}>}
+ *   splats: the files of data.splatPayload, in order. ply: the same as splats[0] for the 'ply' format
+ */
+export async function parseGVRM(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  for (const name of [VRM_ENTRY, DATA_ENTRY]) {
+    if (!zip.file(name)) {
+      throw new Error(`parseGVRM: ${name} not found in the container`);
+    }
+  }
+
+  const vrm = await zip.file(VRM_ENTRY).async('arraybuffer');
+  const data = migrateGVRMData(JSON.parse(await zip.file(DATA_ENTRY).async('text')));
+
+  const splats = [];
+  for (const name of data.splatPayload.files) {
+    if (!zip.file(name)) {
+      throw new Error(`parseGVRM: ${name} not found in the container`);
+    }
+    splats.push(await zip.file(name).async('arraybuffer'));
+  }
+  const ply = data.splatPayload.format === 'ply' ? splats[0] : undefined;
+
+  if (data.splatAttributes) {
+    const file = zip.file(data.splatAttributes.file);
+    if (!file) {
+      throw new Error(`parseGVRM: ${data.splatAttributes.file} not found in the container`);
+    }
+    decodeSplatAttributes(data, await file.async('arraybuffer'));
+  }
+
+  return { vrm, ply, splats, data };
+}
+
+
+/**
+ * Write a .gvrm container.
+ * By default the per-splat arrays are moved from data.json into splats.bin.
+ * @param {Object} contents
+ * @param {ArrayBuffer|Uint8Array} contents.vrm - VRM file
+ * @param {ArrayBuffer|Uint8Array} [contents.ply] - PLY file (payload format 'ply')
+ * @param {Object<string, ArrayBuffer|Uint8Array>} [contents.splats] - Payload files by entry name,
+ *   as listed in data.splatPayload.files (instead of ply)
+ * @param {Object} contents.data - Contents of data.json
+ * @param {Object} options
+ * @param {string} [options.type='arraybuffer'] - JSZip output type ('arraybuffer', 'uint8array', 'blob', ...)
+ * @param {boolean} [options.binary=true] - Store per-splat arrays in splats.bin (false: legacy JSON layout)
+ * @param {boolean} [options.float16=false] - Quantize splatRelativePoses to half floats
+ * @returns {Promise<ArrayBuffer|Uint8Array|Blob>}
+ */
+export async function serializeGVRM({ vrm, ply, splats, data }, { type = 'arraybuffer', binary = true, float16 = false } = {}) {
+  const zip = new JSZip();
+
+  zip.file(VRM_ENTRY, vrm);
+
+  if (!splats) {
+    splats = { [PLY_ENTRY]: ply };
+    if (!data.splatPayload) {
+      data = { ...data, splatPayload: { format: 'ply', files: [PLY_ENTRY] } };
+    }
+  }
+  for (const name of data.splatPayload.files) {
+    if (!splats[name]) {
+      throw new Error(`serializeGVRM: ${name} is listed in splatPayload but not given`);
+    }
+    zip.file(name, splats[name]);
+  }
+
+  if (binary) {
+    const { json, buffer } = encodeSplatAttributes(data, { float16 });
+    zip.file(DATA_ENTRY, JSON.stringify(json, null, 2));
+    zip.file(SPLATS_ENTRY, buffer);
+  } else {
+    const json = { ...data };
+    delete json.splatAttributes;
+    for (const name of Object.keys(SPLAT_ATTRIBUTES)) {
+      if (ArrayBuffer.isView(json[name])) {
+        json[name] = Array.from(json[name]);
+      }
+    }
+    zip.file(DATA_ENTRY, JSON.stringify(json, null, 2));
+  }
+
+  return await zip.generateAsync({ type: type });
+}
+
+
+/**
+ * Move the per-splat arrays of data into a little-endian binary buffer.
+ * @returns {{json: Object, buffer: ArrayBuffer}} data.json without the arrays, and splats.bin
+ */
+export function encodeSplatAttributes(data, { float16 = false } = {}) {
+  const json = { ...data };
+  const splatAttributes = { file: SPLATS_ENTRY };
+  const arrays = [];
+  let byteLength = 0;
+
+  for (const name of Object.keys(SPLAT_ATTRIBUTES)) {
+    const values = data[name];
+    if (!values) continue;
+
+    let type;
+    if (name === 'splatBoneIndices') {
+      type = values.reduce((max, v) => Math.max(max, v), 0) < 256 ? 'uint8' : 'uint16';
+    } else if (name === 'splatRelativePoses') {
+      type = float16 ? 'float16' : 'float32';
+    } else {
+      type = SPLAT_ATTRIBUTES[name].types[0];
+    }
+
+    let array;
+    if (type === 'float16') {
+      array = new Uint16Array(values.length);
+      for (let i = 0; i < values.length; i++) {
+        array[i] = toHalf(values[i]);
+      }
+    } else {
+      array = TYPED_ARRAYS[type].from(values);
+    }
+
+    // keep every array 4-byte aligned
+    byteLength = Math.ceil(byteLength / 4) * 4;
+    splatAttributes[name] = { type: type, offset: byteLength, length: array.length };
+    arrays.push({ array, offset: byteLength });
+    byteLength += array.byteLength;
+
+    delete json[name];
+  }
+
+  const buffer = new ArrayBuffer(byteLength);
+  const bytes = new Uint8Array(buffer);
+  for (const { array, offset } of arrays) {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+  }
+
+  json.splatAttributes = splatAttributes;
+  return { json, buffer };
+}
+
+
+/**
+ * Read the arrays described by data.splatAttributes from splats.bin into data (in place).
+ */
+export function decodeSplatAttributes(data, buffer) {
+  const splatAttributes = data.splatAttributes;
+
+  for (const name of Object.keys(SPLAT_ATTRIBUTES)) {
+    const entry = splatAttributes[name];
+    if (!entry) continue;
+
+    if (!SPLAT_ATTRIBUTES[name].types.includes(entry.type)) {
+      throw new Error(`parseGVRM: unsupported type ${entry.type} for ${name}`);
+    }
+    const TypedArray = TYPED_ARRAYS[entry.type];
+    const byteLength = entry.length * TypedArray.BYTES_PER_ELEMENT;
+    if (entry.offset % TypedArray.BYTES_PER_ELEMENT !== 0 || entry.offset + byteLength > buffer.byteLength) {
+      throw new Error(`parseGVRM: ${name} is out of bounds of ${splatAttributes.file}`);
+    }
+
+    const array = new TypedArray(buffer.slice(entry.offset, entry.offset + byteLength));
+    if (entry.type === 'float16') {
+      const floats = new Float32Array(array.length);
+      for (let i = 0; i < array.length; i++) {
+        floats[i] = fromHalf(array[i]);
+      }
+      data[name] = floats;
+    } else {
+      data[name] = array;
+    }
+  }
+
+  delete data.splatAttributes;
+  return data;
+}
+
+
+// IEEE 754 half-float conversion (round to nearest)
+
+const _floatView = new Float32Array(1);
+const _int32View = new Uint32Array(_floatView.buffer);
+
+export function toHalf(value) {
+  _floatView[0] = value;
+  const x = _int32View[0];
+
+  const sign = (x >>> 16) & 0x8000;
+  const exponent = (x >>> 23) & 0xff;
+  let mantissa = x & 0x7fffff;
+
+  if (exponent === 0xff) {  // NaN, Infinity
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+
+  const e = exponent - 127 + 15;
+  if (e >= 0x1f) {  // overflow
+    return sign | 0x7c00;
+  }
+  if (e <= 0) {  // subnormal or zero
+    if (e < -10) return sign;
+    mantissa |= 0x800000;
+    const shift = 14 - e;
+    let half = mantissa >>> shift;
+    if ((mantissa >>> (shift - 1)) & 1) half++;
+    return sign | half;
+  }
+
+  let half = sign | (e << 10) | (mantissa >>> 13);
+  if (mantissa & 0x1000) half++;  // may carry into the exponent, which is still correct
+  return half;
+}
+
+export function fromHalf(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >>> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+
+  if (exponent === 0) {
+    return sign * Math.pow(2, -14) * (mantissa / 1024);
+  }
+  if (exponent === 0x1f) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+}
@@ -7,12 +7,13 @@ import * as GS3D from 'gaussian-splats-3d';
 
 
 export class GaussianSplatting extends THREE.Group {
-  constructor(urls, scale, gsPosition, quaternion) {
+  constructor(urls, scale, gsPosition, quaternion, format) {
     super();
-    this.loadGS(urls, scale, gsPosition, quaternion);
+    this.loadGS(urls, scale, gsPosition, quaternion, format);
   }
 
-  loadGS(urls, scale, gsPosition=[0, 0, 0], quaternion=[0, 0, 1, 0]) {
+  // format: GS3D.SceneFormat, required for blob urls of non-PLY scenes (guessed from the path otherwise)
+  loadGS(urls, scale, gsPosition=[0, 0, 0], quaternion=[0, 0, 1, 0], format=undefined) {
 
     if (!Array.isArray(urls)) {
       urls = [urls];
@@ -34,7 +35,8 @@ export class GaussianSplatting extends THREE.Group {
         'scale': [scale, scale, scale],
         'position': gsPosition,
         'rotation': quaternion,  // z rot 180
-        'splatAlphaRemovalThreshold': 0
+        'splatAlphaRemovalThreshold': 0,
+        'format': format
       }));
 
       await viewer.addSplatScenes(sceneOptions, false);
@@ -7,7 +7,26 @@ import * as GVRMUtils from './utils.js';
 import { VRMCharacter } from './vrm.js';
 import { GaussianSplatting } from './gs.js';
 import { PLYParser } from './ply.js';
-import JSZip from 'jszip'
+import { parseGVRM, serializeGVRM } from './container.js';
+import { getSplatCodec } from './payload.js';
+import { FORMAT_VERSION, assertValidGVRMData } from './schema.js';
+
+
+const SKINNING_MODES = ['linear', 'dualQuaternion'];
+const OFFSET_FRAMES = ['mesh', 'tangent'];
+
+// one splat scene per bone, up to Constants.MaxScenes of gaussian-splats-3d
+const MAX_SPLAT_SCENES = 32;
+
+const SPLAT_ARRAYS = {
+  splatVertexIndices: 1,
+  splatBoneIndices: 1,
+  splatRelativePoses: 3,
+  splatTriangles: 3,
+  splatBarycentrics: 2,
+  splatNormalOffsets: 1,
+  splatLods: 1,
+};
 
 
 export class GVRM extends THREE.Group {
@@ -30,34 +49,59 @@ export class GVRM extends THREE.Group {
     const character = new VRMCharacter(scene, vrmPath, '', modelScale, true);
     await character.loadingPromise;
 
-    character.skinnedMeshIndex = 1;
-    character.faceIndex = undefined;
-    if (character.currentVrm.scene.children.length > 4) {
-      character.skinnedMeshIndex = 2;
-      character.faceIndex = 1;
+    const vrm = character.currentVrm;
+    // the skinned mesh with the most humanoid bones (the body) first
+    character.skinnedMeshes = GVRMUtils.findSkinnedMeshes(vrm);
+    if (character.skinnedMeshes.length === 0) {
+      await character.leave(scene);
+      throw new Error('GVRM: the VRM has no skinned mesh');
     }
-
-    const skinnedMesh = character.currentVrm.scene.children[character.skinnedMeshIndex];
-
-    GVRMUtils.visualizeVRM(character, false);
+    const bodyMesh = character.skinnedMeshes[0];
 
     GVRMUtils.setPose(character, boneOperations);
 
     // character.currentVrm.scene.updateMatrixWorld(true);
-    skinnedMesh.skeleton.update();
-    skinnedMesh.skeleton.computeBoneTexture();
-    skinnedMesh.geometry.computeVertexNormals();
+    bodyMesh.skeleton.update();
+    bodyMesh.skeleton.computeBoneTexture();
+
+    // The top of the head is not a humanoid bone. Use the end bone above the head (J_Bip_C_HeadTop_End
+    // in VRoid models) if it is in the skeleton, or add one 20cm above and 5cm in front of the head.
+    const headNode = vrm.humanoid.getRawBoneNode('head');
+    character.headTopBone = bodyMesh.skeleton.bones.find(
+      bone => bone.parent === headNode && /headtop/i.test(bone.name));
+    if (!character.headTopBone) {
+      // the offset is in the model space (VRM0 models face -Z). The head transform is composed from the
+      // local transforms, matrixWorld is not updated here (see bind below)
+      const forward = vrm.meta?.metaVersion === '0' ? -1 : 1;
+      const headInModel = new THREE.Matrix4();
+      for (let node = headNode; node && node !== vrm.scene; node = node.parent) {
+        headInModel.premultiply(new THREE.Matrix4().compose(node.position, node.quaternion, node.scale));
+      }
+      const headTopInModel = new THREE.Vector3().setFromMatrixPosition(headInModel).add(new THREE.Vector3(0, 0.2, 0.05 * forward));
 
-    if (character.skinnedMeshIndex === 2) {
-      const headNode = character.currentVrm.humanoid.getRawBoneNode('head');
       const headTopEndNode = new THREE.Bone();
       headTopEndNode.name = "J_Bip_C_HeadTop_End";
-      headTopEndNode.position.set(0, 0.2, -0.05);
+      headTopEndNode.position.copy(headTopInModel.applyMatrix4(headInModel.invert()));
       headTopEndNode.updateMatrixWorld(true);
       headNode.add(headTopEndNode);
-      skinnedMesh.skeleton.bones.push(headTopEndNode);
-      skinnedMesh.bind(new THREE.Skeleton(skinnedMesh.skeleton.bones), skinnedMesh.matrixWorld);
+      bodyMesh.skeleton.bones.push(headTopEndNode);
+      bodyMesh.bind(new THREE.Skeleton(bodyMesh.skeleton.bones), bodyMesh.matrixWorld);
+      character.headTopBone = headTopEndNode;
+    }
+    character.humanBoneNames = GVRMUtils.getHumanBoneNames(character);
+
+    // splats are bound to a single skinned mesh, models split into several meshes are merged
+    // (the body mesh keeps its vertex and bone indices)
+    let skinnedMesh = bodyMesh;
+    if (character.skinnedMeshes.length > 1) {
+      skinnedMesh = GVRMUtils.mergeSkinnedMeshes(character.skinnedMeshes);
+      bodyMesh.parent.add(skinnedMesh);
     }
+    character.skinnedMesh = skinnedMesh;
+    skinnedMesh.geometry.computeVertexNormals();
+
+    GVRMUtils.visualizeVRM(character, false);
+
     // call renderer.render after skinnedMesh.bind (?)
     renderer.render(scene, camera);  // ???
 
@@ -78,8 +122,8 @@ export class GVRM extends THREE.Group {
   }
 
 
-  static async initGS(gsPath, gsPosition, gsQuaternion, scene) {
-    const gs = await new GaussianSplatting(gsPath, 1, gsPosition, gsQuaternion);
+  static async initGS(gsPath, gsPosition, gsQuaternion, scene, format) {
+    const gs = await new GaussianSplatting(gsPath, 1, gsPosition, gsQuaternion, format);
 
     await gs.loadingPromise;  // TODO: refactor
     scene.add(gs);
@@ -99,37 +143,71 @@ export class GVRM extends THREE.Group {
   }
 
 
-  static async load(url, scene, camera, renderer, fileName) {
-    console.log('Loading GVRM:', url);
-    const response = await fetch(url);
-    const zip = await JSZip.loadAsync(response.arrayBuffer());
-    const vrmBuffer = await zip.file('model.vrm').async('arraybuffer');
-    const plyBuffer = await zip.file('model.ply').async('arraybuffer');
-    const extraData = JSON.parse(await zip.file('data.json').async('text'));
+  // url: URL of the .gvrm file, or its contents (ArrayBuffer, Uint8Array or Blob, e.g. from GVRM.save)
+  // options.skinning: 'linear' (default) or 'dualQuaternion', see gsCustomizeMaterial
+  // options.offsetFrame: 'mesh' (default) or 'tangent', see gsCustomizeMaterial
+  static async load(url, scene, camera, renderer, fileName, { skinning = 'linear', offsetFrame = 'mesh' } = {}) {
+    if (!SKINNING_MODES.includes(skinning)) {
+      throw new Error(`GVRM: unknown skinning mode ${skinning} (${SKINNING_MODES.join(', ')})`);
+    }
+    if (!OFFSET_FRAMES.includes(offsetFrame)) {
+      throw new Error(`GVRM: unknown offset frame ${offsetFrame} (${OFFSET_FRAMES.join(', ')})`);
+    }
+    let content = url;
+    if (typeof url === 'string') {
+      console.log('Loading GVRM:', url);
+      const response = await fetch(url);
+      content = await response.arrayBuffer();
+    }
+    const { vrm: vrmBuffer, splats: splatBuffers, data: extraData } = await parseGVRM(content);
+
+    const codec = getSplatCodec(extraData.splatPayload.format);
+    const splats = codec.decode(splatBuffers);
+    const splatCount = splats.splatCount;
+    assertValidGVRMData(extraData, { splatCount });
+    assertSceneCount(extraData.sceneRanges?.length ?? new Set(extraData.splatBoneIndices).size);
 
     const vrmBlob = new Blob([vrmBuffer], { type: 'application/octet-stream' });
     const vrmUrl = URL.createObjectURL(vrmBlob);
 
-    const plyBlob = new Blob([plyBuffer], { type: 'application/octet-stream' });
-    const plyUrl = URL.createObjectURL(plyBlob);
-
     const modelScale = extraData.modelScale;
     const boneOperations = extraData.boneOperations;
 
-    if (extraData.splatRelativePoses === undefined) {  // TODO: remove
-      extraData.splatRelativePoses = extraData.relativePoses;
-    }
-
     const character = await GVRM.initVRM(
       vrmUrl, scene, camera, renderer, modelScale, boneOperations);
 
-    // dynamic sort (choose one splat sort)
-    const { sceneSplatIndices, boneSceneMap } = GVRM.sortSplatsByBones(extraData);
-    // const { sceneSplatIndices, vertexSceneMap } = GVRM.sortSplatsByVertices(extraData);
-    const parser = new PLYParser();
-    const sceneUrls  = await parser.splitPLY(plyUrl, sceneSplatIndices);
+    const skinnedMesh = character.skinnedMesh;
+    const boneNames = GVRMUtils.getBoneNames(character, skinnedMesh.skeleton);
+    try {
+      if (extraData.boneNames) {
+        GVRM.resolveBoneNames(extraData, boneNames);
+      }
+      assertValidGVRMData(extraData, {
+        splatCount: splatCount,
+        vertexCount: skinnedMesh.geometry.attributes.position.count,
+        boneCount: skinnedMesh.skeleton.bones.length
+      });
+    } catch (error) {
+      await character.leave(scene);
+      throw error;
+    }
 
-    const gs = await GVRM.initGS(sceneUrls, extraData.gsPosition, extraData.gsQuaternion, scene);
+    let sceneUrls, boneSceneMap;
+    if (extraData.sceneRanges) {
+      // pre-sorted by GVRM.save, slice the ranges directly
+      ({ sceneUrls, boneSceneMap } = GVRM.sliceSplatsByRanges(splats, extraData.sceneRanges));
+    } else {
+      // dynamic sort (choose one splat sort), only for 'ply' payloads
+      let sceneSplatIndices;
+      ({ sceneSplatIndices, boneSceneMap } = GVRM.sortSplatsByBones(extraData));
+      // const { sceneSplatIndices, vertexSceneMap } = GVRM.sortSplatsByVertices(extraData);
+      const plyUrl = URL.createObjectURL(new Blob([splatBuffers[0]], { type: 'application/octet-stream' }));
+      sceneUrls  = await new PLYParser().splitPLY(plyUrl, sceneSplatIndices);
+      URL.revokeObjectURL(plyUrl);
+    }
+
+    const gs = await GVRM.initGS(
+      sceneUrls, extraData.gsPosition, extraData.gsQuaternion, scene, codec.sceneFormat);
 
     const gvrm = new GVRM(character, gs);
     gvrm.modelScale = modelScale;
@@ -138,6 +216,13 @@ export class GVRM extends THREE.Group {
     gvrm.boneSceneMap = boneSceneMap;
     // gvrm.vertexSceneMap = vertexSceneMap;
     gvrm.fileName = fileName;
+    gvrm.boneNames = boneNames;
+    gvrm.skinning = skinning;
+    gvrm.offsetFrame = offsetFrame;
+
+    // bounding sphere for the level of detail (see updateLod), centered in the VRM scene space
+    gvrm.lodSphere = new THREE.Box3().setFromObject(character.currentVrm.scene).getBoundingSphere(new THREE.Sphere());
+    character.currentVrm.scene.worldToLocal(gvrm.lodSphere.center);
 
     gvrm.updatePMC();
     GVRMUtils.addPMC(scene, gvrm.pmc);
@@ -147,61 +232,50 @@ export class GVRM extends THREE.Group {
     gvrm.gs.splatVertexIndices = extraData.splatVertexIndices;
     gvrm.gs.splatBoneIndices = extraData.splatBoneIndices;
     gvrm.gs.splatRelativePoses = extraData.splatRelativePoses;
-    GVRM.gsCustomizeMaterial(character, gs);
+    gvrm.gs.splatTriangles = extraData.splatTriangles;
+    gvrm.gs.splatBarycentrics = extraData.splatBarycentrics;
+    gvrm.gs.splatNormalOffsets = extraData.splatNormalOffsets;
+    // files saved without the level of detail get it here
+    gvrm.gs.lodFractions = extraData.lodFractions ?? GVRMUtils.LOD_FRACTIONS;
+    gvrm.gs.splatLods = extraData.splatLods ?? GVRMUtils.getSplatLods(gs, gvrm.gs.lodFractions);
+    GVRM.gsCustomizeMaterial(character, gs, {
+      skinning, offsetFrame, maxTextureSize: renderer.capabilities.maxTextureSize });
 
     // cleanup splats that are too far from the associated bone
-    for (let i = 0; i < gvrm.gs.splatCount; i++) {
-      let distance = Math.sqrt(
-        gvrm.gs.splatRelativePoses[i * 3 + 0] ** 2 +
-        gvrm.gs.splatRelativePoses[i * 3 + 1] ** 2 +
-        gvrm.gs.splatRelativePoses[i * 3 + 2] ** 2
-      );
-      if (gvrm.gs.splatBoneIndices[i] !== 57 && distance > 0.2) {  // exclude head
-        gvrm.gs.colors[i * 4 + 3] = 0;
-      } else if (gvrm.gs.splatBoneIndices[i] == 21 && distance > 0.1) {  // left foot
-        gvrm.gs.colors[i * 4 + 3] = 0;
-      } else if (gvrm.gs.splatBoneIndices[i] == 19 && distance > 0.1) {  // right foot
-        gvrm.gs.colors[i * 4 + 3] = 0;
-      } else if (gvrm.gs.splatBoneIndices[i] === 57 && distance > 0.3) {  // head
-        gvrm.gs.colors[i * 4 + 3] = 0;
-      }
-    }
-
-    gvrm.gs.splatMesh.updateDataTexturesFromBaseData(0, gvrm.gs.splatCount - 1);
+    gvrm.cleanupSplats(extraData.cleanupRules);
 
 
-    function _traverseNodes(node, depth = 0) {
-      node.children.forEach(function (childNode) {
-        if (childNode.isBone) {
-          const types = [
-            "J_Bip_L_Hand", "J_Bip_L_LowerArm", "J_Bip_R_Hand", "J_Bip_R_LowerArm",
-            "J_Bip_L_LowerLeg", "J_Bip_L_Foot", "J_Bip_R_LowerLeg", "J_Bip_R_Foot",
-            "J_Bip_C_Neck", "J_Bip_C_Spine", "J_Bip_C_Chest", "J_Bip_C_UpperChest",
-            "J_Bip_C_HeadTop_End",
-            "J_Bip_C_Head"];
-          if (types.includes(childNode.name)) {
-            childNode.updateMatrix();
-            childNode.matrixWorld0 = childNode.matrixWorld.clone();
-          }
-          _traverseNodes(childNode, depth + 1);
-        }
-      });
+    // initial poses of the bones with splat scenes (see updateByBones)
+    for (const boneIndex of Object.keys(boneSceneMap)) {
+      const bone = skinnedMesh.skeleton.bones[boneIndex];
+      bone.updateMatrix();
+      bone.matrixWorld0 = bone.matrixWorld.clone();
     }
 
-    const rootNode = character.currentVrm.scene.children[0].children[0];
-    _traverseNodes(rootNode, 1);
-
 
     gvrm.isReady = true
 
     return gvrm;
   }
 
-  static async save(gvrm, vrmPath, gsPath, boneOperations, modelScale, fileName, savePly=false) {
-    const vrmBuffer = await fetch(vrmPath).then(response => response.arrayBuffer());
-    const plyBuffer = await fetch(gsPath).then(response => response.arrayBuffer());
+  /**
+   * Package a preprocessed avatar as a .gvrm file. Nothing is downloaded (see GVRM.download).
+   * @param {GVRM} gvrm - Avatar with the splat assignments (gvrm.gs.splatVertexIndices, ...)
+   * @param {ArrayBuffer|Uint8Array|Blob} vrm - VRM file
+   * @param {ArrayBuffer|Uint8Array|Blob} ply - PLY file of the splats, in the order they were loaded
+   * @param {Object[]} boneOperations
+   * @param {number} modelScale
+   * @param {Object} options
+   * @param {string} [options.type='blob'] - Output type ('blob', 'arraybuffer' or 'uint8array')
+   * @param {Object} [options.splatOptions] - { format: 'ply' | 'splat' | 'ksplat' | 'qply', ...codec options (see payload.js) }
+   * @returns {Promise<Blob|ArrayBuffer|Uint8Array>}
+   */
+  static async save(gvrm, vrm, ply, boneOperations, modelScale, { type = 'blob', splatOptions = {} } = {}) {
+    const vrmBuffer = await _toArrayBuffer(vrm);
+    let plyBuffer = await _toArrayBuffer(ply);
 
     const extraData = {
+      formatVersion: FORMAT_VERSION,
       modelScale: modelScale,
       boneOperations: boneOperations,
       gsQuaternion: gvrm.gs.viewer.splatMesh.scenes[0].quaternion.toArray(),
@@ -209,50 +283,72 @@ export class GVRM extends THREE.Group {
       splatVertexIndices: gvrm.gs.splatVertexIndices,
       splatBoneIndices: gvrm.gs.splatBoneIndices,
       splatRelativePoses: gvrm.gs.splatRelativePoses,
+      boneNames: GVRMUtils.getBoneNames(gvrm.character, gvrm.character.skinnedMesh.skeleton),
     };
-
-    const zip = new JSZip();
-
-    zip.file('model.vrm', vrmBuffer);
-    zip.file('model.ply', plyBuffer);
-    zip.file('data.json', JSON.stringify(extraData, null, 2));
-
-    const content = await zip.generateAsync({ type: 'blob' });
-
-    if (!fileName && gsPath.endsWith('.ply')) {
-      fileName = gsPath.split('/').pop().replace('.ply', '.gvrm');
-    } else if (!fileName) {  // blob
-      fileName = gsPath.split('/').pop() + '.gvrm';
+    if (gvrm.gs.splatTriangles) {
+      extraData.splatTriangles = gvrm.gs.splatTriangles;
+      extraData.splatBarycentrics = gvrm.gs.splatBarycentrics;
+      extraData.splatNormalOffsets = gvrm.gs.splatNormalOffsets;
     }
-
-    _downloadBlob(content, fileName);
-
-    if (savePly) {
-      console.log('savePly!');
-      const plyBlob = new Blob([plyBuffer], { type: 'application/octet-stream' });
-      const plyFileName = fileName.replace('.gvrm', '_processed.ply');
-      _downloadBlob(plyBlob, plyFileName);
+    if (gvrm.cleanupRules) {
+      extraData.cleanupRules = gvrm.cleanupRules;
     }
+    // splat subsets for the level of detail, from the splats as loaded (gs.colors0, gs.covariances0)
+    extraData.lodFractions = GVRMUtils.LOD_FRACTIONS;
+    extraData.splatLods = GVRMUtils.getSplatLods(gvrm.gs, extraData.lodFractions);
 
-    function _downloadBlob(blob, fileName) {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = fileName;
-      a.click();
-      if (blob === content && gvrm.url) {  // GVRM
-        URL.revokeObjectURL(gvrm.url);
+    // store the splats grouped by bone, so that GVRM.load can skip sorting
+    const { sceneSplatIndices, boneSceneMap } = GVRM.sortSplatsByBones(extraData);
+    const sceneBones = [];
+    for (const [boneIndex, sceneIndex] of Object.entries(boneSceneMap)) {
+      sceneBones[sceneIndex] = Number(boneIndex);
+    }
+    assertSceneCount(sceneBones.length);
+    const splatIndices = [];
+    extraData.sceneRanges = sceneBones.map((boneIndex, sceneIndex) => {
+      const range = { bone: boneIndex, start: splatIndices.length, count: sceneSplatIndices[sceneIndex].length };
+      for (const splatIndex of sceneSplatIndices[sceneIndex]) {
+        splatIndices.push(splatIndex);
       }
-      if (blob === content) {  // GVRM
-        gvrm.url = url;
+      return range;
+    });
+    plyBuffer = new PLYParser().reorderPLY(plyBuffer, splatIndices).buffer;
+
+    const splatFormat = splatOptions.format || 'ply';
+    const { files: splatFiles, order } = getSplatCodec(splatFormat).encode(plyBuffer, extraData.sceneRanges, splatOptions);
+    extraData.splatPayload = { format: splatFormat, files: Object.keys(splatFiles) };
+    if (order) {
+      // the codec changed the splat order within the scenes
+      GVRM.updateExtraData(extraData, { 0: Array.from(order) });
+    }
+
+    return await serializeGVRM({ vrm: vrmBuffer, splats: splatFiles, data: extraData }, { type: type });
+
+    async function _toArrayBuffer(data) {
+      if (data instanceof ArrayBuffer) {
+        return data;
       }
-       else {  // PLY
-        URL.revokeObjectURL(url);
+      if (ArrayBuffer.isView(data)) {
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
       }
+      return await data.arrayBuffer();  // Blob
     }
   }
 
 
+  // save a .gvrm (or any file) from the browser
+  static download(content, fileName) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    // revoking right after click() cancels the download in some browsers (Firefox, Safari)
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+
   static async remove(gvrm, scene) {
     if (gvrm.character) {
       await gvrm.character.leave(scene);
@@ -269,8 +365,8 @@ export class GVRM extends THREE.Group {
     }
   }
 
-  async load(url, scene, camera, renderer, fileName=null) {
-    const _gvrm = await GVRM.load(url, scene, camera, renderer, fileName);
+  async load(url, scene, camera, renderer, fileName=null, options={}) {
+    const _gvrm = await GVRM.load(url, scene, camera, renderer, fileName, options);
 
     // TODO: refactor
     this.character = _gvrm.character;
@@ -282,11 +378,16 @@ export class GVRM extends THREE.Group {
     this.boneSceneMap = _gvrm.boneSceneMap;
     this.vertexSceneMap = _gvrm.vertexSceneMap;
     this.fileName = _gvrm.fileName;
+    this.boneNames = _gvrm.boneNames;
+    this.cleanupRules = _gvrm.cleanupRules;
+    this.skinning = _gvrm.skinning;
+    this.offsetFrame = _gvrm.offsetFrame;
+    this.lodSphere = _gvrm.lodSphere;
     this.isReady = true;
   }
 
-  async save(vrmPath, gsPath, boneOperations, modelScale, fileName, savePly=false) {
-    await GVRM.save(this, vrmPath, gsPath, boneOperations, modelScale, fileName, savePly);
+  async save(vrm, ply, boneOperations, modelScale, options={}) {
+    return await GVRM.save(this, vrm, ply, boneOperations, modelScale, options);
   }
 
   async remove(scene) {
@@ -294,9 +395,38 @@ export class GVRM extends THREE.Group {
     await GVRM.remove(this, scene);
   }
 
-  async changeFBX(url) {
+  // Re-run the splat cleanup. rules override GVRMUtils.DEFAULT_CLEANUP_RULES, and are kept
+  // in this.cleanupRules so that they are saved with the avatar.
+  cleanupSplats(rules = this.cleanupRules) {
+    this.cleanupRules = rules;
+    GVRMUtils.cleanupSplats(this.gs, this.boneNames, rules);
+  }
+
+  // options.rigMap: bone names of the animation rig, 'mixamo' by default (see rigmaps.js)
+  // options.rootMotion: move the horizontal hips motion to character.rootMotion (see extractRootMotion)
+  async changeFBX(url, options = {}) {
     // GVRMUtils.resetPose(this.character, this.boneOperations);
-    await this.character.changeFBX(url);
+    await this.character.changeFBX(url, options);
+  }
+
+  // humanoid animation in glTF / GLB, the rig is detected by default (options.rigMap: 'auto')
+  async changeGLTF(url, options = {}) {
+    await this.character.changeGLTF(url, options);
+  }
+
+  // VRM Animation (.vrma), crossfaded as changeFBX
+  async changeVRMA(url, options = {}) {
+    await this.character.changeVRMA(url, options);
+  }
+
+  // BVH motion, crossfaded as changeFBX
+  async changeBVH(url, options = {}) {
+    await this.character.changeBVH(url, options);
+  }
+
+  // named states, transitions and parameters instead of changeFBX (see AnimationStateMachine)
+  async createStateMachine(config) {
+    return await this.character.createStateMachine(config);
   }
 
   updatePMC() {
@@ -310,49 +440,42 @@ export class GVRM extends THREE.Group {
     const tempMidPoint = new THREE.Vector3();
     const tempMat = new THREE.Matrix4();
     const tempQuat = new THREE.Quaternion();
-    const noSortBoneList = [
-      "J_Bip_C_Neck", "J_Bip_C_Spine", "J_Bip_C_Chest", "J_Bip_C_UpperChest", "J_Bip_C_HeadTop_End", "J_Bip_C_Head"
-    ];
-
-    const skeleton = this.character.currentVrm.scene.children[2].skeleton;
-
-    skeleton.bones.forEach((bone) => {
-      const children = bone.children;
-      if (children.length === 0) return;
-
-      children.forEach(childBone => {
-        const childIndex = skeleton.bones.indexOf(childBone);
-        const sceneIndex = this.boneSceneMap[childIndex];
-        if (sceneIndex === undefined) return;
-
-        bone.updateMatrixWorld(true);
-        childBone.updateMatrixWorld(true);
-        tempNodePos.setFromMatrixPosition(bone.matrixWorld);
-        tempChildPos.setFromMatrixPosition(childBone.matrixWorld);
-        tempMidPoint.addVectors(tempNodePos, tempChildPos).multiplyScalar(0.5);
-        tempMidPoint.sub(this.character.currentVrm.scene.position).add(this.character.currentVrm.scene.position0);
-        tempMidPoint.applyQuaternion(this.gs.viewer.quaternion.clone().invert());
-
-        tempMat.extractRotation(childBone.matrixWorld.multiply(childBone.matrixWorld0.clone().invert()));
-        tempQuat.setFromRotationMatrix(tempMat);
-        tempQuat.premultiply(this.gs.viewer.quaternion.clone().invert());
-        tempQuat.multiply(this.gs.quaternion0);
-
-        const scene = this.gs.viewer.getSplatScene(sceneIndex);
-        if (scene) {
-          if (!noSortBoneList.includes(childBone.name)) {
-            scene.position.copy(tempMidPoint);
-            scene.quaternion.copy(tempQuat);
-          }
-          let axesHelper = this.debugAxes.get(sceneIndex);
-          if (!axesHelper) {
-            axesHelper = this.createDebugAxes(sceneIndex);
-          }
-          axesHelper.position.copy(tempMidPoint);
-          axesHelper.quaternion.copy(tempQuat);
-          // axesHelper.quaternion.copy(tempQuat);
+
+    const skeleton = this.character.skinnedMesh.skeleton;
+
+    skeleton.bones.forEach((childBone, childIndex) => {
+      const sceneIndex = this.boneSceneMap[childIndex];
+      if (sceneIndex === undefined) return;
+      // each splat scene is placed between its bone and the parent (humanoid) bone, as the capsules
+      const bone = GVRMUtils.getParentHumanBone(childBone, this.character.humanBoneNames);
+
+      bone.updateMatrixWorld(true);
+      childBone.updateMatrixWorld(true);
+      tempNodePos.setFromMatrixPosition(bone.matrixWorld);
+      tempChildPos.setFromMatrixPosition(childBone.matrixWorld);
+      tempMidPoint.addVectors(tempNodePos, tempChildPos).multiplyScalar(0.5);
+      tempMidPoint.sub(this.character.currentVrm.scene.position).add(this.character.currentVrm.scene.position0);
+      tempMidPoint.applyQuaternion(this.gs.viewer.quaternion.clone().invert());
+
+      tempMat.extractRotation(childBone.matrixWorld.multiply(childBone.matrixWorld0.clone().invert()));
+      tempQuat.setFromRotationMatrix(tempMat);
+      tempQuat.premultiply(this.gs.viewer.quaternion.clone().invert());
+      tempQuat.multiply(this.gs.quaternion0);
+
+      const scene = this.gs.viewer.getSplatScene(sceneIndex);
+      if (scene) {
+        if (!GVRMUtils.NO_SORT_BONES.includes(this.boneNames[childIndex])) {
+          scene.position.copy(tempMidPoint);
+          scene.quaternion.copy(tempQuat);
         }
-      });
+        let axesHelper = this.debugAxes.get(sceneIndex);
+        if (!axesHelper) {
+          axesHelper = this.createDebugAxes(sceneIndex);
+        }
+        axesHelper.position.copy(tempMidPoint);
+        axesHelper.quaternion.copy(tempQuat);
+        // axesHelper.quaternion.copy(tempQuat);
+      }
     });
   }
 
@@ -367,7 +490,47 @@ export class GVRM extends THREE.Group {
     return axesHelper;
   }
 
-  update() {
+  // Copy the morph target influences set by the expressions (vrm.expressionManager) to the splat shader.
+  updateMorphTargets() {
+    const { targets, influenceTexture } = this.gs.morphTargets;
+    if (!influenceTexture) return;
+    const influences = influenceTexture.image.data;
+    let changed = false;
+    targets.forEach(({ mesh, index }, i) => {
+      const influence = mesh.morphTargetInfluences[index];
+      if (influences[i] !== influence) {
+        influences[i] = influence;
+        changed = true;
+      }
+    });
+    if (changed) {
+      influenceTexture.needsUpdate = true;
+    }
+  }
+
+  // Pick the level of detail from the screen-space size of the avatar (see GVRMUtils.getSplatLods).
+  // Splats of finer levels are left out of the next sort, so that they are neither sorted nor drawn.
+  updateLod(camera) {
+    if (!this.lodSphere || !this.gs.splatLods) return;  // not loaded with GVRM.load
+    const fractions = this.gs.lodFractions;
+    const center = this.lodSphere.center.clone().applyMatrix4(this.character.currentVrm.scene.matrixWorld);
+    const distance = Math.max(center.distanceTo(camera.getWorldPosition(new THREE.Vector3())), camera.near);
+    const halfHeight = camera.isPerspectiveCamera ?
+      distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom :
+      (camera.top - camera.bottom) / 2 / camera.zoom;
+    const screenSize = this.lodSphere.radius / halfHeight;
+
+    // the coarsest level with enough splats for the size
+    const fraction = Math.min((screenSize / GVRMUtils.LOD_FULL_SCREEN_SIZE) ** 2, 1);
+    let level = 0;
+    while (level + 1 < fractions.length && fractions[level + 1] >= fraction) {
+      level++;
+    }
+    this.gs.lodLevel.value = level;
+  }
+
+  // camera: picks the level of detail (see updateLod), all splats are rendered without it
+  update(camera = null) {
     if (!this.isReady) return;
     let tempQuat = this.character.currentVrm.scene.quaternion.clone();
     let tempQuat0 = this.character.currentVrm.scene.quaternion0.clone();
@@ -378,6 +541,10 @@ export class GVRM extends THREE.Group {
     // this.t += 1.0; GVRMUtils.simpleAnim(this.character, this.t);  // debug
     this.updateByBones();
     this.character.update();
+    this.updateMorphTargets();
+    if (camera) {
+      this.updateLod(camera);
+    }
   }
 
   static sortSplatsByBones(extraData) {
@@ -403,6 +570,47 @@ export class GVRM extends THREE.Group {
   }
 
 
+  // Map splatBoneIndices (and sceneRanges) from the skeleton the GVRM was saved with
+  // to the current one, by bone name (see GVRMUtils.getBoneNames).
+  static resolveBoneNames(extraData, boneNames) {
+    const currentIndices = new Map();
+    boneNames.forEach((name, index) => {
+      if (!currentIndices.has(name)) currentIndices.set(name, index);
+    });
+    const remap = extraData.boneNames.map(name => currentIndices.get(name));
+
+    const splatBoneIndices = new Uint16Array(extraData.splatBoneIndices.length);
+    for (let i = 0; i < splatBoneIndices.length; i++) {
+      const boneIndex = extraData.splatBoneIndices[i];
+      if (remap[boneIndex] === undefined) {
+        throw new Error(`GVRM: bone ${extraData.boneNames[boneIndex]} (index ${boneIndex}) not found in the VRM`);
+      }
+      splatBoneIndices[i] = remap[boneIndex];
+    }
+    extraData.splatBoneIndices = splatBoneIndices;
+
+    if (extraData.sceneRanges) {
+      extraData.sceneRanges = extraData.sceneRanges.map(range => ({ ...range, bone: remap[range.bone] }));
+    }
+    extraData.boneNames = boneNames;
+  }
+
+
+  // splats: decoded payload (see payload.js)
+  static sliceSplatsByRanges(splats, sceneRanges) {
+    const sceneUrls = [];
+    const boneSceneMap = {};
+
+    sceneRanges.forEach(({ bone, start, count }, sceneIndex) => {
+      boneSceneMap[bone] = sceneIndex;
+      const blob = new Blob([splats.getScene(sceneIndex, start, count)], { type: 'application/octet-stream' });
+      sceneUrls.push(URL.createObjectURL(blob));
+    });
+
+    return { sceneUrls, boneSceneMap };
+  }
+
+
   // deprecated
   // static sortSplatsByVertices(extraData) {}
 
@@ -414,76 +622,176 @@ export class GVRM extends THREE.Group {
       splatIndices = splatIndices.concat(sceneSplatIndices[i]);
     }
 
-    const splatVertexIndices = [];
-    const splatBoneIndices = [];
-    const splatRelativePoses = [];
-
-    for (const sceneIndex of Object.keys(sceneSplatIndices)) {
-      for (const splatIndex of sceneSplatIndices[sceneIndex]) {
-        splatVertexIndices.push(extraData.splatVertexIndices[splatIndex]);
-        splatBoneIndices.push(extraData.splatBoneIndices[splatIndex]);
-        splatRelativePoses.push(
-          extraData.splatRelativePoses[splatIndex * 3],
-          extraData.splatRelativePoses[splatIndex * 3 + 1],
-          extraData.splatRelativePoses[splatIndex * 3 + 2]
-        );
+    // per-splat arrays and their item sizes (the triangle binding is optional)
+    for (const [name, itemSize] of Object.entries(SPLAT_ARRAYS)) {
+      const values = extraData[name];
+      if (values === undefined) continue;
+      const reordered = [];
+      for (const splatIndex of splatIndices) {
+        for (let k = 0; k < itemSize; k++) {
+          reordered.push(values[splatIndex * itemSize + k]);
+        }
       }
+      extraData[name] = reordered;
     }
-
-    extraData.splatVertexIndices = splatVertexIndices;
-    extraData.splatBoneIndices = splatBoneIndices;
-    extraData.splatRelativePoses = splatRelativePoses;
   }
 
 
-  static gsCustomizeMaterial(character, gs) {
+  // options.skinning: 'linear' (linear blend skinning), or 'dualQuaternion', which keeps the volume
+  // around joints (bone scale is ignored)
+  // options.offsetFrame: 'mesh' rotates splatRelativePoses with the blended skin matrix, 'tangent' keeps them
+  // in the (tangent, bitangent, normal) frame of the vertex, so that they stay on the surface under twist.
+  // For splats bound to triangles, 'tangent' rotates the normal offset and the splat with the vertex frames
+  // interpolated over the triangle, instead of the frame of the triangle (its first edge)
+  // options.maxTextureSize: renderer.capabilities.maxTextureSize, limits the size of the avatar
+  static gsCustomizeMaterial(character, gs, { skinning = 'linear', offsetFrame = 'mesh', maxTextureSize = 16384 } = {}) {
 
     gs.splatMesh.material = gs.splatMesh.material.clone();
+    if (skinning === 'dualQuaternion') {
+      // a define (not onBeforeCompile) selects the shader program
+      gs.splatMesh.material.defines = { ...gs.splatMesh.material.defines, GVRM_DQ_SKINNING: '' };
+    }
+    if (offsetFrame === 'tangent') {
+      gs.splatMesh.material.defines = { ...gs.splatMesh.material.defines, GVRM_TANGENT_FRAME: '' };
+    }
     gs.splatMesh.material.needsUpdate = true;
 
-    const skinnedMesh = character.currentVrm.scene.children[character.skinnedMeshIndex];
+    const skinnedMesh = character.skinnedMesh;
 
     const meshVertexCount = skinnedMesh.geometry.attributes.position.count;
 
-    const meshPositions = skinnedMesh.geometry.attributes.position.array;
-    const meshNormals = skinnedMesh.geometry.attributes.normal.array;
-    const meshSkinIndices = skinnedMesh.geometry.attributes.skinIndex.array;
-    const meshSkinWeights = skinnedMesh.geometry.attributes.skinWeight.array;
+    const meshPositions = skinnedMesh.geometry.attributes.position;
+    const meshNormals = skinnedMesh.geometry.attributes.normal;
+    const meshSkinIndices = skinnedMesh.geometry.attributes.skinIndex;
+    const meshSkinWeights = skinnedMesh.geometry.attributes.skinWeight;
     const gsVertexIndices = gs.splatVertexIndices;
     const gsRelativePoses = gs.splatRelativePoses;
 
-    const meshPositionData = new Float32Array(4096*1024*4);
-    const meshNormalData = new Float32Array(4096*1024*4);
-    const meshSkinIndexData = new Float32Array(4096*1024*4);
-    const meshSkinWeightData = new Float32Array(4096*1024*4);
-    const gsMeshVertexIndexData = new Float32Array(4096*1024*4);
-    const gsMeshRelativePosData = new Float32Array(4096*1024*4);
-
-    GVRMUtils.addChannels(meshPositions, meshPositionData, meshVertexCount, 1);
-    GVRMUtils.addChannels(meshNormals, meshNormalData, meshVertexCount, 1);
-    meshSkinIndexData.set(meshSkinIndices);
-    meshSkinWeightData.set(meshSkinWeights);
-    GVRMUtils.addChannels(gsVertexIndices, gsMeshVertexIndexData, gs.splatCount, 3);
-    GVRMUtils.addChannels(gsRelativePoses, gsMeshRelativePosData, gs.splatCount, 1);
-
-    const meshPositionTexture = GVRMUtils.createDataTexture(
-      meshPositionData, 4096, 1024, THREE.RGBAFormat, THREE.FloatType);
-    const meshNormalTexture = GVRMUtils.createDataTexture(
-      meshNormalData, 4096, 1024, THREE.RGBAFormat, THREE.FloatType);
-    const meshSkinIndexTexture = GVRMUtils.createDataTexture(
-      meshSkinIndexData, 4096, 1024, THREE.RGBAFormat, THREE.FloatType);
-    const meshSkinWeightTexture = GVRMUtils.createDataTexture(
-      meshSkinWeightData, 4096, 1024, THREE.RGBAFormat, THREE.FloatType);
-    const gsMeshVertexIndexTexture = GVRMUtils.createDataTexture(
-      gsMeshVertexIndexData, 4096, 1024, THREE.RGBAFormat, THREE.FloatType);
-    const gsMeshRelativePosTexture = GVRMUtils.createDataTexture(
-      gsMeshRelativePosData, 4096, 1024, THREE.RGBAFormat, THREE.FloatType);
+    // textures sized to the vertex / splat counts (see GVRMUtils.createItemDataTexture)
+    const meshPositionTexture = GVRMUtils.createItemDataTexture(meshVertexCount, 'rgba32f', maxTextureSize);
+    const meshNormalTexture = GVRMUtils.createItemDataTexture(meshVertexCount, 'rgba16f', maxTextureSize);
+    // skin indices and weights, 16 bits each: (index0 | index1 << 16, index2 | index3 << 16, weight0 | weight1 << 16, ...)
+    const meshSkinTexture = GVRMUtils.createItemDataTexture(meshVertexCount, 'rgba32ui', maxTextureSize);
+    const gsMeshVertexIndexTexture = GVRMUtils.createItemDataTexture(gs.splatCount, 'r32ui', maxTextureSize);
+    const gsMeshRelativePosTexture = GVRMUtils.createItemDataTexture(gs.splatCount, 'rgba16f', maxTextureSize);
+
+    const toHalf = THREE.DataUtils.toHalfFloat;
+    const toUnorm16 = (weight) => Math.round(Math.min(Math.max(weight, 0), 1) * 65535);
+    const positionData = meshPositionTexture.image.data;
+    const normalData = meshNormalTexture.image.data;
+    const skinData = meshSkinTexture.image.data;
+    for (let i = 0; i < meshVertexCount; i++) {
+      positionData[i * 4 + 0] = meshPositions.getX(i);
+      positionData[i * 4 + 1] = meshPositions.getY(i);
+      positionData[i * 4 + 2] = meshPositions.getZ(i);
+      positionData[i * 4 + 3] = 1.0;
+      normalData[i * 4 + 0] = toHalf(meshNormals.getX(i));
+      normalData[i * 4 + 1] = toHalf(meshNormals.getY(i));
+      normalData[i * 4 + 2] = toHalf(meshNormals.getZ(i));
+      normalData[i * 4 + 3] = toHalf(1.0);
+      skinData[i * 4 + 0] = meshSkinIndices.getX(i) | (meshSkinIndices.getY(i) << 16);
+      skinData[i * 4 + 1] = meshSkinIndices.getZ(i) | (meshSkinIndices.getW(i) << 16);
+      skinData[i * 4 + 2] = toUnorm16(meshSkinWeights.getX(i)) | (toUnorm16(meshSkinWeights.getY(i)) << 16);
+      skinData[i * 4 + 3] = toUnorm16(meshSkinWeights.getZ(i)) | (toUnorm16(meshSkinWeights.getW(i)) << 16);
+    }
+
+    gsMeshVertexIndexTexture.image.data.set(gsVertexIndices);
+    const relativePosData = gsMeshRelativePosTexture.image.data;
+    for (let i = 0; i < gs.splatCount; i++) {
+      relativePosData[i * 4 + 0] = toHalf(gsRelativePoses[i * 3 + 0]);
+      relativePosData[i * 4 + 1] = toHalf(gsRelativePoses[i * 3 + 1]);
+      relativePosData[i * 4 + 2] = toHalf(gsRelativePoses[i * 3 + 2]);
+      relativePosData[i * 4 + 3] = toHalf(1.0);
+    }
+
+    // morph targets (expressions) moving the vertices with splats. Each of those vertices has a slot
+    // (meshMorphSlotTexture, 0 = none) of deltas for all targets (slot * targetCount + target)
+    const morphTargets = GVRMUtils.getMorphTargetDeltas(character.skinnedMeshes, new Set(gsVertexIndices));
+    gs.morphTargets = morphTargets;
+    let meshMorphSlotTexture, morphDeltaTexture;
+    if (morphTargets.targets.length > 0) {
+      gs.splatMesh.material.defines = { ...gs.splatMesh.material.defines, GVRM_MORPH_TARGETS: morphTargets.targets.length };
+      meshMorphSlotTexture = GVRMUtils.createItemDataTexture(meshVertexCount, 'r32ui', maxTextureSize);
+      morphDeltaTexture = GVRMUtils.createItemDataTexture(morphTargets.deltas.length / 3, 'rgba16f', maxTextureSize);
+      // influences, 4 per texel (see updateMorphTargets): a uniform array would take a row per target
+      morphTargets.influenceTexture = GVRMUtils.createItemDataTexture(Math.ceil(morphTargets.targets.length / 4), 'rgba32f', maxTextureSize);
+      morphTargets.vertices.forEach((vertex, slot) => {
+        meshMorphSlotTexture.image.data[vertex] = slot + 1;
+      });
+      const deltaData = morphDeltaTexture.image.data;
+      for (let i = 0; i < morphTargets.deltas.length / 3; i++) {
+        deltaData[i * 4 + 0] = toHalf(morphTargets.deltas[i * 3 + 0]);
+        deltaData[i * 4 + 1] = toHalf(morphTargets.deltas[i * 3 + 1]);
+        deltaData[i * 4 + 2] = toHalf(morphTargets.deltas[i * 3 + 2]);
+        deltaData[i * 4 + 3] = toHalf(0.0);
+      }
+    }
+
+    // tangents of the vertex frames (see GVRMUtils.getVertexTangents), the normals are in meshNormalTexture
+    let meshTangentTexture;
+    if (offsetFrame === 'tangent') {
+      gs.meshTangents = GVRMUtils.getVertexTangents(skinnedMesh.geometry);
+      meshTangentTexture = GVRMUtils.createItemDataTexture(meshVertexCount, 'rgba16f', maxTextureSize);
+      const tangentData = meshTangentTexture.image.data;
+      for (let i = 0; i < meshVertexCount; i++) {
+        tangentData[i * 4 + 0] = toHalf(gs.meshTangents[i * 3 + 0]);
+        tangentData[i * 4 + 1] = toHalf(gs.meshTangents[i * 3 + 1]);
+        tangentData[i * 4 + 2] = toHalf(gs.meshTangents[i * 3 + 2]);
+        tangentData[i * 4 + 3] = toHalf(0.0);
+      }
+    }
+
+    // level of detail (see updateLod): splats with a coarsest level below gs.lodLevel are skipped
+    gs.lodLevel = { value: 0 };
+    let gsLodTexture;
+    if (gs.splatLods) {
+      gs.splatMesh.material.defines = { ...gs.splatMesh.material.defines, GVRM_LOD: '' };
+      gsLodTexture = GVRMUtils.createItemDataTexture(gs.splatCount, 'r32ui', maxTextureSize);
+      gsLodTexture.image.data.set(gs.splatLods);
+
+      // keep only the splats of the level in the indexes to sort, the draw count follows the sort
+      const viewer = gs.viewer.viewer;
+      const gatherSceneNodesForSort = viewer.gatherSceneNodesForSort;
+      viewer.gatherSceneNodesForSort = function (...args) {
+        const result = gatherSceneNodesForSort.apply(this, args);
+        const level = gs.lodLevel.value;
+        if (level > 0) {
+          const indexes = this.sortWorkerIndexesToSort;
+          let count = 0;
+          for (let i = 0; i < result.splatRenderCount; i++) {
+            if (gs.splatLods[indexes[i]] >= level) {
+              indexes[count++] = indexes[i];
+            }
+          }
+          result.splatRenderCount = count;
+        }
+        return result;
+      };
+    }
+
+    // triangle binding (see GVRMUtils.getSplatTriangles): vertex indices, and (barycentric 2nd, 3rd, normal offset)
+    let gsTriangleTexture, gsTriangleWeightTexture;
+    if (gs.splatTriangles) {
+      gs.splatMesh.material.defines = { ...gs.splatMesh.material.defines, GVRM_TRIANGLE_BINDING: '' };
+      gsTriangleTexture = GVRMUtils.createItemDataTexture(gs.splatCount, 'rgba32ui', maxTextureSize);
+      gsTriangleWeightTexture = GVRMUtils.createItemDataTexture(gs.splatCount, 'rgba16f', maxTextureSize);
+      const triangleData = gsTriangleTexture.image.data;
+      const triangleWeightData = gsTriangleWeightTexture.image.data;
+      for (let i = 0; i < gs.splatCount; i++) {
+        triangleData[i * 4 + 0] = gs.splatTriangles[i * 3 + 0];
+        triangleData[i * 4 + 1] = gs.splatTriangles[i * 3 + 1];
+        triangleData[i * 4 + 2] = gs.splatTriangles[i * 3 + 2];
+        triangleWeightData[i * 4 + 0] = toHalf(gs.splatBarycentrics[i * 2 + 0]);
+        triangleWeightData[i * 4 + 1] = toHalf(gs.splatBarycentrics[i * 2 + 1]);
+        triangleWeightData[i * 4 + 2] = toHalf(gs.splatNormalOffsets[i]);
+        triangleWeightData[i * 4 + 3] = toHalf(1.0);
+      }
+    }
 
     gs.splatMesh.material.onBeforeCompile = function (shader) {
       shader.uniforms.meshPositionTexture = { value: meshPositionTexture };
       shader.uniforms.meshNormalTexture = { value: meshNormalTexture };
-      shader.uniforms.meshSkinIndexTexture = { value: meshSkinIndexTexture };
-      shader.uniforms.meshSkinWeightTexture = { value: meshSkinWeightTexture };
+      shader.uniforms.meshSkinTexture = { value: meshSkinTexture };
       shader.uniforms.gsMeshVertexIndexTexture = { value: gsMeshVertexIndexTexture };
       shader.uniforms.gsMeshRelativePosTexture = { value: gsMeshRelativePosTexture };
       shader.uniforms.bindMatrix0 = { value: skinnedMesh.bindMatrix0 };
@@ -495,6 +803,22 @@ export class GVRM extends THREE.Group {
       shader.uniforms.meshMatrixWorld = { value: character.currentVrm.scene.matrixWorld };
       shader.uniforms.gsMatrix0 = { value: gs.matrix0 };
       shader.uniforms.gsMatrix = { value: gs.viewer.matrixWorld };
+      if (meshMorphSlotTexture) {
+        shader.uniforms.meshMorphSlotTexture = { value: meshMorphSlotTexture };
+        shader.uniforms.morphDeltaTexture = { value: morphDeltaTexture };
+        shader.uniforms.morphInfluenceTexture = { value: morphTargets.influenceTexture };  // see updateMorphTargets
+      }
+      if (gsLodTexture) {
+        shader.uniforms.gsLodTexture = { value: gsLodTexture };
+        shader.uniforms.gvrmLodLevel = gs.lodLevel;  // shared, see updateLod
+      }
+      if (meshTangentTexture) {
+        shader.uniforms.meshTangentTexture = { value: meshTangentTexture };
+      }
+      if (gsTriangleTexture) {
+        shader.uniforms.gsTriangleTexture = { value: gsTriangleTexture };
+        shader.uniforms.gsTriangleWeightTexture = { value: gsTriangleWeightTexture };
+      }
 
       // console.log('Vertex Shader:', shader.vertexShader);
       // console.log('Fragment Shader:', shader.fragmentShader);
@@ -507,11 +831,10 @@ export class GVRM extends THREE.Group {
         #include <common>
         #include <skinning_pars_vertex>  // boneTexture
 
-        uniform sampler2D meshPositionTexture;
+        uniform highp sampler2D meshPositionTexture;
         uniform sampler2D meshNormalTexture;
-        uniform sampler2D meshSkinIndexTexture;
-        uniform sampler2D meshSkinWeightTexture;
-        uniform sampler2D gsMeshVertexIndexTexture;
+        uniform highp usampler2D meshSkinTexture;
+        uniform highp usampler2D gsMeshVertexIndexTexture;
         uniform sampler2D gsMeshRelativePosTexture;
         uniform mat4 meshMatrixWorld;
         uniform mat4 gsMatrix0;
@@ -521,6 +844,31 @@ export class GVRM extends THREE.Group {
         uniform mat4 bindMatrixInverse0;
         uniform highp sampler2D boneTexture0;
 
+        #ifdef GVRM_MORPH_TARGETS
+        uniform highp usampler2D meshMorphSlotTexture;
+        uniform sampler2D morphDeltaTexture;
+        uniform highp sampler2D morphInfluenceTexture;
+        #endif
+
+        #ifdef GVRM_TANGENT_FRAME
+        uniform sampler2D meshTangentTexture;
+        #endif
+
+        #ifdef GVRM_LOD
+        uniform highp usampler2D gsLodTexture;
+        uniform int gvrmLodLevel;
+        #endif
+
+        #ifdef GVRM_TRIANGLE_BINDING
+        uniform highp usampler2D gsTriangleTexture;
+        uniform sampler2D gsTriangleWeightTexture;
+        #endif
+
+        // texel of item i in a data texture of the given width (see GVRMUtils.createItemDataTexture)
+        ivec2 dataTexelCoord( const in uint i, const in int width ) {
+          return ivec2( int( i % uint( width ) ), int( i / uint( width ) ) );
+        }
+
         mat4 getBoneMatrix0( const in float i ) {
           int size = textureSize( boneTexture0, 0 ).x;
           int j = int( i ) * 4;
@@ -592,6 +940,151 @@ export class GVRM extends THREE.Group {
             xz - wy, yz + wx, 1.0 - (xx + yy)
           );
         }
+
+        #ifdef GVRM_DQ_SKINNING
+        // GLSL matrices are column-major: quatFromMat3 returns the conjugate of the rotation,
+        // and mat3FromQuat the transposed matrix.
+        vec4 quatFromRotation(mat3 m) {
+          vec4 q = quatFromMat3(m);
+          return vec4(-q.xyz, q.w);
+        }
+
+        mat3 rotationFromQuat(vec4 q) {
+          return mat3FromQuat(vec4(-q.xyz, q.w));
+        }
+
+        // dual quaternion [real, dual] of a rigid transform (scale is removed)
+        mat2x4 dualQuatFromMatrix(mat4 m) {
+          mat3 r = mat3(normalize(m[0].xyz), normalize(m[1].xyz), normalize(m[2].xyz));
+          vec4 real = quatFromRotation(r);
+          vec4 dual = 0.5 * quatMultiply(vec4(m[3].xyz, 0.0), real);
+          return mat2x4(real, dual);
+        }
+
+        mat4 matrixFromDualQuat(mat2x4 dq) {
+          float len = length(dq[0]);
+          vec4 real = dq[0] / len;
+          vec4 dual = dq[1] / len;
+          vec3 t = 2.0 * quatMultiply(dual, vec4(-real.xyz, real.w)).xyz;
+          mat4 m = mat4(rotationFromQuat(real));
+          m[3] = vec4(t, 1.0);
+          return m;
+        }
+
+        // blend the bone transforms (in the bind space) as dual quaternions
+        mat4 dualQuatSkinMatrix(mat4 boneX, mat4 boneY, mat4 boneZ, mat4 boneW, vec4 weight) {
+          mat2x4 dqX = dualQuatFromMatrix(boneX);
+          mat2x4 dqY = dualQuatFromMatrix(boneY);
+          mat2x4 dqZ = dualQuatFromMatrix(boneZ);
+          mat2x4 dqW = dualQuatFromMatrix(boneW);
+          // q and -q are the same rotation, take the one closest to the first bone
+          mat2x4 dq = weight.x * dqX;
+          dq += weight.y * sign(dot(dqX[0], dqY[0]) + 1e-6) * dqY;
+          dq += weight.z * sign(dot(dqX[0], dqZ[0]) + 1e-6) * dqZ;
+          dq += weight.w * sign(dot(dqX[0], dqW[0]) + 1e-6) * dqW;
+          return matrixFromDualQuat(dq);
+        }
+        #endif
+
+        // mesh vertex position, with the morph target deltas
+        vec3 gvrmMeshPosition(const in ivec2 vertexTexel) {
+          vec3 position = texelFetch(meshPositionTexture, vertexTexel, 0).rgb;
+          #ifdef GVRM_MORPH_TARGETS
+          uint morphSlot = texelFetch(meshMorphSlotTexture, vertexTexel, 0).r;
+          if (morphSlot > 0u) {
+            int deltaWidth = textureSize(morphDeltaTexture, 0).x;
+            int influenceWidth = textureSize(morphInfluenceTexture, 0).x;
+            uint firstDelta = (morphSlot - 1u) * uint(GVRM_MORPH_TARGETS);
+            for (int t = 0; t < GVRM_MORPH_TARGETS; t++) {
+              float influence = texelFetch(morphInfluenceTexture, dataTexelCoord(uint(t / 4), influenceWidth), 0)[t % 4];
+              if (influence != 0.0) {
+                position += influence * texelFetch(morphDeltaTexture, dataTexelCoord(firstDelta + uint(t), deltaWidth), 0).rgb;
+              }
+            }
+          }
+          #endif
+          return position;
+        }
+
+        // skin indices and weights of a mesh vertex (16 bits each in meshSkinTexture)
+        void gvrmSkinWeights(const in ivec2 vertexTexel, out vec4 skinIndex, out vec4 skinWeight) {
+          uvec4 packedSkin = texelFetch(meshSkinTexture, vertexTexel, 0);
+          uvec4 shifts = uvec4(0u, 16u, 0u, 16u);
+          skinIndex = vec4((packedSkin.xxyy >> shifts) & 0xFFFFu);
+          skinWeight = vec4((packedSkin.zzww >> shifts) & 0xFFFFu) / 65535.0;
+        }
+
+        #ifdef GVRM_TANGENT_FRAME
+        // orthonormal (tangent, bitangent, normal) frame of a vertex, skinned by skinMatrix
+        mat3 gvrmTangentFrame(const in mat4 skinMatrix, const in vec3 normal, const in vec3 tangent) {
+          vec3 n = normalize(mat3(skinMatrix) * normal);
+          vec3 t = mat3(skinMatrix) * tangent;
+          t = normalize(t - dot(t, n) * n);
+          return mat3(t, cross(n, t), n);
+        }
+        #endif
+
+        #ifdef GVRM_TRIANGLE_BINDING
+        // skin matrices of a mesh vertex in the current pose, and in the pose the splats were bound in
+        void gvrmSkinMatrices(const in vec4 skinIndex, const in vec4 skinWeight, out mat4 skinMatrix, out mat4 skinMatrix0) {
+          mat4 boneMatX = getBoneMatrix( skinIndex.x );
+          mat4 boneMatY = getBoneMatrix( skinIndex.y );
+          mat4 boneMatZ = getBoneMatrix( skinIndex.z );
+          mat4 boneMatW = getBoneMatrix( skinIndex.w );
+          mat4 boneMatX0 = getBoneMatrix0( skinIndex.x );
+          mat4 boneMatY0 = getBoneMatrix0( skinIndex.y );
+          mat4 boneMatZ0 = getBoneMatrix0( skinIndex.z );
+          mat4 boneMatW0 = getBoneMatrix0( skinIndex.w );
+          #ifdef GVRM_DQ_SKINNING
+          skinMatrix = dualQuatSkinMatrix(
+            bindMatrixInverse * boneMatX * bindMatrix, bindMatrixInverse * boneMatY * bindMatrix,
+            bindMatrixInverse * boneMatZ * bindMatrix, bindMatrixInverse * boneMatW * bindMatrix, skinWeight);
+          skinMatrix0 = dualQuatSkinMatrix(
+            bindMatrixInverse0 * boneMatX0 * bindMatrix0, bindMatrixInverse0 * boneMatY0 * bindMatrix0,
+            bindMatrixInverse0 * boneMatZ0 * bindMatrix0, bindMatrixInverse0 * boneMatW0 * bindMatrix0, skinWeight);
+          #else
+          skinMatrix = bindMatrixInverse * (skinWeight.x * boneMatX + skinWeight.y * boneMatY +
+            skinWeight.z * boneMatZ + skinWeight.w * boneMatW) * bindMatrix;
+          skinMatrix0 = bindMatrixInverse0 * (skinWeight.x * boneMatX0 + skinWeight.y * boneMatY0 +
+            skinWeight.z * boneMatZ0 + skinWeight.w * boneMatW0) * bindMatrix0;
+          #endif
+        }
+
+        // skinned position of a mesh vertex in the current pose, and in the pose the splats were bound in
+        void gvrmSkinVertex(const in uint vertexIndex, out vec3 position, out vec3 position0) {
+          ivec2 vertexTexel = dataTexelCoord(vertexIndex, textureSize(meshPositionTexture, 0).x);
+          vec3 meshPosition = gvrmMeshPosition(vertexTexel);
+          vec4 skinIndex, skinWeight;
+          gvrmSkinWeights(vertexTexel, skinIndex, skinWeight);
+          mat4 skinMatrix, skinMatrix0;
+          gvrmSkinMatrices(skinIndex, skinWeight, skinMatrix, skinMatrix0);
+          position = ( skinMatrix * vec4(meshPosition, 1.0) ).xyz;
+          position0 = ( skinMatrix0 * vec4(meshPosition, 1.0) ).xyz;
+        }
+
+        #ifdef GVRM_TANGENT_FRAME
+        // tangent frames of a mesh vertex in the current pose, and in the pose the splats were bound in
+        void gvrmSkinVertexFrame(const in uint vertexIndex, out mat3 frame, out mat3 frame0) {
+          ivec2 vertexTexel = dataTexelCoord(vertexIndex, textureSize(meshPositionTexture, 0).x);
+          vec4 skinIndex, skinWeight;
+          gvrmSkinWeights(vertexTexel, skinIndex, skinWeight);
+          mat4 skinMatrix, skinMatrix0;
+          gvrmSkinMatrices(skinIndex, skinWeight, skinMatrix, skinMatrix0);
+          vec3 normal = texelFetch(meshNormalTexture, vertexTexel, 0).rgb;
+          vec3 tangent = texelFetch(meshTangentTexture, vertexTexel, 0).rgb;
+          frame = gvrmTangentFrame(skinMatrix, normal, tangent);
+          frame0 = gvrmTangentFrame(skinMatrix0, normal, tangent);
+        }
+
+        // vertex frames interpolated over a triangle, orthonormalized
+        mat3 gvrmInterpolateFrames(const in mat3 frameA, const in mat3 frameB, const in mat3 frameC, const in vec3 barycentric) {
+          vec3 n = normalize(barycentric.x * frameA[2] + barycentric.y * frameB[2] + barycentric.z * frameC[2]);
+          vec3 t = barycentric.x * frameA[0] + barycentric.y * frameB[0] + barycentric.z * frameC[0];
+          t = normalize(t - dot(t, n) * n);
+          return mat3(t, cross(n, t), n);
+        }
+        #endif
+        #endif
         `
       );
 
@@ -603,21 +1096,26 @@ export class GVRM extends THREE.Group {
       shader.vertexShader = shader.vertexShader.replace(
         'vec3 splatCenter = uintBitsToFloat(uvec3(sampledCenterColor.gba));',
         `
-        vec2 samplerUV2 = vec2(0.0, 0.0);
-        float d2 = float(splatIndex) / 4096.0;
-        samplerUV2.y = float(floor(d2)) / 1024.0;
-        samplerUV2.x = fract(d2);
-        float meshVertexIndex = texture2D(gsMeshVertexIndexTexture, samplerUV2).r;
-        vec3 relativePos = texture2D(gsMeshRelativePosTexture, samplerUV2).rgb;
-
-        vec2 samplerUV3 = vec2(0.0, 0.0);
-        float d3 = float(meshVertexIndex) / 4096.0;
-        samplerUV3.y = float(floor(d3)) / 1024.0;
-        samplerUV3.x = fract(d3);
-        vec3 transformed = texture2D(meshPositionTexture, samplerUV3).rgb;
-        vec3 objectNormal = texture2D(meshNormalTexture, samplerUV3).rgb;
-        vec4 skinIndex = texture2D(meshSkinIndexTexture, samplerUV3);
-        vec4 skinWeight = texture2D(meshSkinWeightTexture, samplerUV3);
+        ivec2 splatTexel = dataTexelCoord(splatIndex, textureSize(gsMeshVertexIndexTexture, 0).x);
+
+        #ifdef GVRM_LOD
+        // not in the current level of detail, until the next sort leaves it out (all splat textures have the same size)
+        if (int(texelFetch(gsLodTexture, splatTexel, 0).r) < gvrmLodLevel) {
+          gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+          return;
+        }
+        #endif
+
+        uint meshVertexIndex = texelFetch(gsMeshVertexIndexTexture, splatTexel, 0).r;
+        vec3 relativePos = texelFetch(gsMeshRelativePosTexture, splatTexel, 0).rgb;
+
+        // all mesh textures have the same size
+        ivec2 vertexTexel = dataTexelCoord(meshVertexIndex, textureSize(meshPositionTexture, 0).x);
+        vec3 meshPosition = gvrmMeshPosition(vertexTexel);
+        vec3 transformed = meshPosition;
+        vec3 objectNormal = texelFetch(meshNormalTexture, vertexTexel, 0).rgb;
+        vec4 skinIndex, skinWeight;
+        gvrmSkinWeights(vertexTexel, skinIndex, skinWeight);
 
         mat4 boneMatX0 = getBoneMatrix0( skinIndex.x );
         mat4 boneMatY0 = getBoneMatrix0( skinIndex.y );
@@ -639,8 +1137,75 @@ export class GVRM extends THREE.Group {
         // vec3 splatCenter = ( meshMatrixWorld * vec4(transformed, 1.0) ).xyz;
         // vec3 splatCenter = ( meshMatrixWorld * vec4(transformed + relativePos, 1.0) ).xyz;  // GOOD
 
-        vec3 skinnedRelativePos = vec4( skinMatrix * inverse(skinMatrix0) * vec4( relativePos, 0.0 ) ).xyz;
+        #ifdef GVRM_DQ_SKINNING
+        mat4 dqSkinMatrix = dualQuatSkinMatrix(
+          bindMatrixInverse * boneMatX * bindMatrix, bindMatrixInverse * boneMatY * bindMatrix,
+          bindMatrixInverse * boneMatZ * bindMatrix, bindMatrixInverse * boneMatW * bindMatrix, skinWeight);
+        mat4 dqSkinMatrix0 = dualQuatSkinMatrix(
+          bindMatrixInverse0 * boneMatX0 * bindMatrix0, bindMatrixInverse0 * boneMatY0 * bindMatrix0,
+          bindMatrixInverse0 * boneMatZ0 * bindMatrix0, bindMatrixInverse0 * boneMatW0 * bindMatrix0, skinWeight);
+        transformed = ( dqSkinMatrix * vec4(meshPosition, 1.0) ).xyz;
+        mat4 splatSkinMatrix = dqSkinMatrix * inverse(dqSkinMatrix0);
+        #else
+        mat4 splatSkinMatrix = skinMatrix * inverse(skinMatrix0);
+        #endif
+
+        #ifdef GVRM_TANGENT_FRAME
+        // the offset (and the splat) follows the vertex frame: from the frame in the pose the splats were bound in
+        // to the current one (skinnormal_vertex has skinned objectNormal, so the normal is fetched again)
+        vec3 frameNormal = texelFetch(meshNormalTexture, vertexTexel, 0).rgb;
+        vec3 frameTangent = texelFetch(meshTangentTexture, vertexTexel, 0).rgb;
+        #ifdef GVRM_DQ_SKINNING
+        mat3 vertexFrame = gvrmTangentFrame(dqSkinMatrix, frameNormal, frameTangent);
+        mat3 vertexFrame0 = gvrmTangentFrame(dqSkinMatrix0, frameNormal, frameTangent);
+        #else
+        mat3 vertexFrame = gvrmTangentFrame(skinMatrix, frameNormal, frameTangent);
+        mat3 vertexFrame0 = gvrmTangentFrame(skinMatrix0, frameNormal, frameTangent);
+        #endif
+        splatSkinMatrix = mat4(vertexFrame * transpose(vertexFrame0));
+        #endif
+
+        vec3 skinnedRelativePos = vec4( splatSkinMatrix * vec4( relativePos, 0.0 ) ).xyz;
         vec3 splatCenter = ( meshMatrixWorld * vec4(transformed + skinnedRelativePos, 1.0) ).xyz;
+
+        #ifdef GVRM_TRIANGLE_BINDING
+        // interpolated between the skinned vertices of the triangle (the same vertex 3 times: no triangle)
+        uvec4 triangle = texelFetch(gsTriangleTexture, splatTexel, 0);
+        if (triangle.x != triangle.y) {
+          vec3 triangleWeight = texelFetch(gsTriangleWeightTexture, splatTexel, 0).rgb;  // barycentric (2nd, 3rd), normal offset
+          vec3 p0, p1, p2, q0, q1, q2;
+          gvrmSkinVertex(triangle.x, p0, q0);
+          gvrmSkinVertex(triangle.y, p1, q1);
+          gvrmSkinVertex(triangle.z, p2, q2);
+          vec3 triangleNormal = normalize(cross(p1 - p0, p2 - p0));
+          vec3 triangleNormal0 = normalize(cross(q1 - q0, q2 - q0));
+          vec3 barycentric = vec3(1.0 - triangleWeight.x - triangleWeight.y, triangleWeight.xy);
+
+          #ifdef GVRM_TANGENT_FRAME
+          // the normal offset and the splat rotate with the vertex frames, interpolated over the triangle
+          mat3 frameA, frameB, frameC, frameA0, frameB0, frameC0;
+          gvrmSkinVertexFrame(triangle.x, frameA, frameA0);
+          gvrmSkinVertexFrame(triangle.y, frameB, frameB0);
+          gvrmSkinVertexFrame(triangle.z, frameC, frameC0);
+          mat3 frame = gvrmInterpolateFrames(frameA, frameB, frameC, barycentric);
+          mat3 frame0 = gvrmInterpolateFrames(frameA0, frameB0, frameC0, barycentric);
+          mat3 frameRotation = frame * transpose(frame0);
+          vec3 normalOffset = frameRotation * (triangleWeight.z * triangleNormal0);
+          #else
+          // the splat rotates with the triangle frame (first edge, bitangent, normal)
+          vec3 tangent = normalize(p1 - p0);
+          vec3 tangent0 = normalize(q1 - q0);
+          mat3 frame = mat3(tangent, cross(triangleNormal, tangent), triangleNormal);
+          mat3 frame0 = mat3(tangent0, cross(triangleNormal0, tangent0), triangleNormal0);
+          mat3 frameRotation = frame * transpose(frame0);
+          vec3 normalOffset = triangleWeight.z * triangleNormal;
+          #endif
+
+          vec3 trianglePos = mat3(p0, p1, p2) * barycentric + normalOffset;
+          splatCenter = ( meshMatrixWorld * vec4(trianglePos, 1.0) ).xyz;
+          splatSkinMatrix = mat4(frameRotation);
+        }
+        #endif
         `
       );
 
@@ -664,7 +1229,7 @@ export class GVRM extends THREE.Group {
 
         // via quat
         mat3 gsRotation0 = mat3(gsMatrix0);
-        mat3 skinRotationMatrix = mat3(skinMatrix * inverse(skinMatrix0));
+        mat3 skinRotationMatrix = mat3(splatSkinMatrix);
         mat3 relativeRotation = transpose(gsRotation0) * skinRotationMatrix * gsRotation0;
         vec4 tempQuat = quatFromMat3(relativeRotation);
         tempQuat.y = -tempQuat.y;  // Hardcode, maybe bug in quatFromMat3?
@@ -686,4 +1251,19 @@ export class GVRM extends THREE.Group {
 }
 
 
-export * as GVRMUtils from './utils.js';
\ No newline at end of file
+function assertSceneCount(sceneCount) {
+  if (sceneCount > MAX_SPLAT_SCENES) {
+    throw new Error(`Splats are bound to ${sceneCount} bones, but at most ${MAX_SPLAT_SCENES} splat scenes are supported`);
+  }
+}
+
+
+export * as GVRMUtils from './utils.js';
+export { parseGVRM, serializeGVRM } from './container.js';
+export { SPLAT_CODECS, getSplatCodec } from './payload.js';
+export { FORMAT_VERSION, migrateGVRMData, validateGVRMData } from './schema.js';
+export { computePosedSplats } from './skinning.js';
+export { loadMixamoAnimation, loadGLTFAnimation, loadVRMAnimation, loadBVHAnimation, loadAnimationClip,
+  clearAnimationClipCache, extractRootMotion } from './vrm.js';
+export { AnimationStateMachine } from './animator.js';
+export { registerRigMap, getRigMap, detectRigMap, stripBonePrefix } from './rigmaps.js';
\ No newline at end of file
@@ -0,0 +1,266 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Splat payload codecs for the .gvrm container.
+// data.json declares the payload as splatPayload: { format, files }, and GVRM.load picks the codec by format.
+//
+// Every codec keeps the splats in the order of data.sceneRanges (one scene per bone), except ksplat,
+// which reorders the splats of each scene into buckets (encode returns that order).
+
+import * as GS3D from 'gaussian-splats-3d';
+import { PLYParser } from './ply.js';
+
+
+const SH_C0 = 0.28209479177387814;
+
+// number of f_rest coefficients per color channel for each SH degree
+const SH_COEFFS_PER_CHANNEL = [0, 3, 8, 15];
+
+
+/**
+ * @typedef {Object} SplatCodec
+ * @property {number} sceneFormat - GS3D.SceneFormat of the per-scene buffers
+ * @property {function(ArrayBuffer, Object[], Object): {files: Object<string, ArrayBuffer|Uint8Array>, order: (Uint32Array|null)}} encode
+ *   PLY sorted by sceneRanges -> container entries, and the new splat order (new index -> old index) if changed
+ * @property {function(ArrayBuffer[]): {splatCount: number, getScene: function(number, number, number): (ArrayBuffer|Uint8Array)}} decode
+ *   container entries -> splat count, and getScene(sceneIndex, start, count)
+ */
+
+const plyCodec = {
+  sceneFormat: GS3D.SceneFormat.Ply,
+
+  encode(plyBuffer) {
+    return { files: { 'model.ply': plyBuffer }, order: null };
+  },
+
+  decode([plyBuffer]) {
+    const parser = new PLYParser();
+    return {
+      splatCount: parser.parseHeader(plyBuffer).vertexCount,
+      getScene: (sceneIndex, start, count) => parser.slicePLY(plyBuffer, start, count),
+    };
+  },
+};
+
+
+// antimatter15 .splat: 32 bytes per splat, no spherical harmonics
+const SPLAT_ROW_SIZE = 32;
+
+const splatCodec = {
+  sceneFormat: GS3D.SceneFormat.Splat,
+
+  encode(plyBuffer) {
+    const { vertexCount, columns } = new PLYParser().parseColumns(plyBuffer);
+    const buffer = new ArrayBuffer(vertexCount * SPLAT_ROW_SIZE);
+    const floats = new Float32Array(buffer);
+    const bytes = new Uint8Array(buffer);
+    const toByte = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+    for (let i = 0; i < vertexCount; i++) {
+      const f = i * SPLAT_ROW_SIZE / 4;
+      const b = i * SPLAT_ROW_SIZE;
+      floats[f + 0] = columns.x[i];
+      floats[f + 1] = columns.y[i];
+      floats[f + 2] = columns.z[i];
+      floats[f + 3] = Math.exp(columns.scale_0[i]);
+      floats[f + 4] = Math.exp(columns.scale_1[i]);
+      floats[f + 5] = Math.exp(columns.scale_2[i]);
+      bytes[b + 24] = toByte((0.5 + SH_C0 * columns.f_dc_0[i]) * 255);
+      bytes[b + 25] = toByte((0.5 + SH_C0 * columns.f_dc_1[i]) * 255);
+      bytes[b + 26] = toByte((0.5 + SH_C0 * columns.f_dc_2[i]) * 255);
+      bytes[b + 27] = toByte(255 / (1 + Math.exp(-columns.opacity[i])));
+
+      const qw = columns.rot_0[i], qx = columns.rot_1[i], qy = columns.rot_2[i], qz = columns.rot_3[i];
+      const norm = Math.sqrt(qw * qw + qx * qx + qy * qy + qz * qz) || 1;
+      bytes[b + 28] = toByte(qw / norm * 128 + 128);
+      bytes[b + 29] = toByte(qx / norm * 128 + 128);
+      bytes[b + 30] = toByte(qy / norm * 128 + 128);
+      bytes[b + 31] = toByte(qz / norm * 128 + 128);
+    }
+
+    return { files: { 'model.splat': buffer }, order: null };
+  },
+
+  decode([splatBuffer]) {
+    if (splatBuffer.byteLength % SPLAT_ROW_SIZE !== 0) {
+      throw new Error('splat payload: size is not a multiple of 32 bytes');
+    }
+    return {
+      splatCount: splatBuffer.byteLength / SPLAT_ROW_SIZE,
+      getScene: (sceneIndex, start, count) =>
+        splatBuffer.slice(start * SPLAT_ROW_SIZE, (start + count) * SPLAT_ROW_SIZE),
+    };
+  },
+};
+
+
+// gaussian-splats-3d .ksplat, one file per scene (a ksplat cannot be sliced)
+const ksplatCodec = {
+  sceneFormat: GS3D.SceneFormat.KSplat,
+
+  encode(plyBuffer, sceneRanges, { sphericalHarmonicsDegree = 2, compressionLevel = 1 } = {}) {
+    const parser = new PLYParser();
+    const blockSize = GS3D.SplatBuffer.BucketBlockSize;
+    const bucketSize = GS3D.SplatBuffer.BucketSize;
+    const generator = GS3D.SplatBufferGenerator.getStandardGenerator(
+      0, compressionLevel, 0, undefined, blockSize, bucketSize);
+
+    const files = {};
+    const order = new Uint32Array(sceneRanges.reduce((total, { count }) => total + count, 0));
+
+    sceneRanges.forEach(({ start, count }, sceneIndex) => {
+      const scenePly = parser.slicePLY(plyBuffer, start, count);
+      const splatArray = GS3D.PlyParser.parseToUncompressedSplatArray(scenePly.buffer, sphericalHarmonicsDegree);
+
+      // the generator writes the splats bucket by bucket (full buckets first)
+      const { fullBuckets, partiallyFullBuckets } =
+        GS3D.SplatBuffer.computeBucketsForUncompressedSplatArray(splatArray, blockSize, bucketSize);
+      let i = start;
+      for (const bucket of [...fullBuckets, ...partiallyFullBuckets]) {
+        for (const splatIndex of bucket.splats) {
+          order[i++] = start + splatIndex;
+        }
+      }
+
+      files[`splats/${sceneIndex}.ksplat`] = generator.generateFromUncompressedSplatArray(splatArray).bufferData;
+    });
+
+    return { files, order };
+  },
+
+  decode(ksplatBuffers) {
+    return {
+      splatCount: ksplatBuffers.reduce((total, buffer) => total + GS3D.SplatBuffer.parseHeader(buffer).splatCount, 0),
+      getScene: (sceneIndex) => ksplatBuffers[sceneIndex],
+    };
+  },
+};
+
+
+// PLY with 16-bit properties (8-bit for f_rest) and the SH truncated to sphericalHarmonicsDegree.
+// The value range of each property is stored in the header as "comment quantize <name> <min> <max>".
+// Decoded back to a float PLY on load.
+const QUANTIZED_PROPERTIES = ['x', 'y', 'z', 'f_dc_0', 'f_dc_1', 'f_dc_2', 'opacity',
+  'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3'];
+
+const qplyCodec = {
+  sceneFormat: GS3D.SceneFormat.Ply,
+
+  encode(plyBuffer, sceneRanges, { sphericalHarmonicsDegree = 2 } = {}) {
+    const { vertexCount, columns } = new PLYParser().parseColumns(plyBuffer);
+
+    // f_rest_* is stored channel by channel: [R coeffs, G coeffs, B coeffs]
+    const restCount = Object.keys(columns).filter(name => name.startsWith('f_rest_')).length;
+    const sourceCoeffs = restCount / 3;
+    const coeffs = Math.min(SH_COEFFS_PER_CHANNEL[sphericalHarmonicsDegree], sourceCoeffs);
+
+    const properties = QUANTIZED_PROPERTIES.map(name => ({ name, type: 'ushort', max: 65535, values: columns[name] }));
+    for (let channel = 0; channel < 3; channel++) {
+      for (let k = 0; k < coeffs; k++) {
+        properties.push({
+          name: `f_rest_${channel * coeffs + k}`, type: 'uchar', max: 255,
+          values: columns[`f_rest_${channel * sourceCoeffs + k}`]
+        });
+      }
+    }
+    for (const prop of properties) {
+      if (!prop.values) {
+        throw new Error(`qply payload: ${prop.name} is missing in the PLY`);
+      }
+      let min = Infinity, max = -Infinity;
+      for (let i = 0; i < vertexCount; i++) {
+        min = Math.min(min, prop.values[i]);
+        max = Math.max(max, prop.values[i]);
+      }
+      prop.range = [min, max];
+    }
+
+    const header = [
+      'ply',
+      'format binary_little_endian 1.0',
+      ...properties.map(prop => `comment quantize ${prop.name} ${prop.range[0]} ${prop.range[1]}`),
+      `element vertex ${vertexCount}`,
+      ...properties.map(prop => `property ${prop.type} ${prop.name}`),
+      'end_header'
+    ];
+    const headerArray = new TextEncoder().encode(header.join('\n') + '\n');
+    const rowSize = properties.reduce((size, prop) => size + (prop.type === 'ushort' ? 2 : 1), 0);
+
+    const output = new Uint8Array(headerArray.length + vertexCount * rowSize);
+    output.set(headerArray, 0);
+    const view = new DataView(output.buffer, headerArray.length);
+
+    let propOffset = 0;
+    for (const prop of properties) {
+      const [min, max] = prop.range;
+      const scale = max > min ? prop.max / (max - min) : 0;
+      for (let i = 0; i < vertexCount; i++) {
+        const q = Math.round((prop.values[i] - min) * scale);
+        if (prop.type === 'ushort') {
+          view.setUint16(i * rowSize + propOffset, q, true);
+        } else {
+          view.setUint8(i * rowSize + propOffset, q);
+        }
+      }
+      propOffset += prop.type === 'ushort' ? 2 : 1;
+    }
+
+    return { files: { 'model.qply': output }, order: null };
+  },
+
+  decode([qplyBuffer]) {
+    const parser = new PLYParser();
+    const { header, vertexCount, properties, columns } = parser.parseColumns(qplyBuffer);
+
+    const ranges = {};
+    for (const line of header) {
+      const parts = line.trim().split(/\s+/);
+      if (parts[0] === 'comment' && parts[1] === 'quantize') {
+        ranges[parts[2]] = [parseFloat(parts[3]), parseFloat(parts[4])];
+      }
+    }
+
+    // dequantize into a float PLY, which is then sliced like a plain PLY payload
+    const headerArray = new TextEncoder().encode([
+      'ply',
+      'format binary_little_endian 1.0',
+      `element vertex ${vertexCount}`,
+      ...properties.map(prop => `property float ${prop.name}`),
+      'end_header'
+    ].join('\n') + '\n');
+
+    const plyBuffer = new ArrayBuffer(headerArray.length + vertexCount * properties.length * 4);
+    new Uint8Array(plyBuffer).set(headerArray, 0);
+    const view = new DataView(plyBuffer, headerArray.length);
+
+    properties.forEach((prop, p) => {
+      const values = columns[prop.name];
+      const range = ranges[prop.name];
+      const levels = prop.type === 'uchar' || prop.type === 'uint8' ? 255 : 65535;
+      for (let i = 0; i < vertexCount; i++) {
+        const value = range ? range[0] + values[i] / levels * (range[1] - range[0]) : values[i];
+        view.setFloat32((i * properties.length + p) * 4, value, true);
+      }
+    });
+
+    return plyCodec.decode([plyBuffer]);
+  },
+};
+
+
+export const SPLAT_CODECS = {
+  ply: plyCodec,
+  splat: splatCodec,
+  ksplat: ksplatCodec,
+  qply: qplyCodec,
+};
+
+
+export function getSplatCodec(format) {
+  const codec = SPLAT_CODECS[format];
+  if (!codec) {
+    throw new Error(`Unsupported splat payload format: ${format}`);
+  }
+  return codec;
+}
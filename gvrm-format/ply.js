@@ -2,20 +2,277 @@
 // Licensed under the MIT License. See LICENSE file in the project root for full license information.
 
 
+// PLY scalar types (and their sized aliases) -> [byte size, DataView getter, DataView setter, column array]
+const PLY_TYPES = {
+  char: [1, 'getInt8', 'setInt8', Int8Array], int8: [1, 'getInt8', 'setInt8', Int8Array],
+  uchar: [1, 'getUint8', 'setUint8', Uint8Array], uint8: [1, 'getUint8', 'setUint8', Uint8Array],
+  short: [2, 'getInt16', 'setInt16', Int16Array], int16: [2, 'getInt16', 'setInt16', Int16Array],
+  ushort: [2, 'getUint16', 'setUint16', Uint16Array], uint16: [2, 'getUint16', 'setUint16', Uint16Array],
+  int: [4, 'getInt32', 'setInt32', Int32Array], int32: [4, 'getInt32', 'setInt32', Int32Array],
+  uint: [4, 'getUint32', 'setUint32', Uint32Array], uint32: [4, 'getUint32', 'setUint32', Uint32Array],
+  float: [4, 'getFloat32', 'setFloat32', Float32Array], float32: [4, 'getFloat32', 'setFloat32', Float32Array],
+  double: [8, 'getFloat64', 'setFloat64', Float64Array], float64: [8, 'getFloat64', 'setFloat64', Float64Array],
+};
+
+const PLY_FORMATS = ['ascii', 'binary_little_endian', 'binary_big_endian'];
+
+// list properties of other elements (faces) that hold vertex indices
+const VERTEX_INDEX_LISTS = ['vertex_indices', 'vertex_index'];
+
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+
 export class PLYParser {
   constructor() {
     this.header = null;
+    this.format = 'binary_little_endian';
+    this.elements = [];
     this.vertexCount = 0;
     this.properties = [];
-    this.propertyTypes = new Map([
-      ['char', 1], ['uchar', 1],
-      ['short', 2], ['ushort', 2],
-      ['int', 4], ['uint', 4],
-      ['float', 4], ['double', 8]
-    ]);
+    this.propertyTypes = new Map(Object.entries(PLY_TYPES).map(([type, [size]]) => [type, size]));
   }
 
-  async parsePLY(url, showProgress) {
+  parseHeader(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const marker = 'end_header';
+
+    let headerText = '';
+    let headerLength = -1;
+    for (let offset = 0; offset < bytes.length && headerLength < 0; offset += 4096) {
+      const chunk = bytes.subarray(offset, Math.min(offset + 4096, bytes.length));
+      headerText += String.fromCharCode.apply(null, chunk);
+      const index = headerText.indexOf(marker);
+      const lineEnd = index >= 0 ? headerText.indexOf('\n', index) : -1;
+      if (lineEnd >= 0) {
+        headerLength = lineEnd + 1;
+      }
+    }
+    if (headerLength < 0) {
+      throw new Error('PLYParser: end_header not found');
+    }
+
+    const headerLines = headerText.slice(0, headerLength).split('\n').map(line => line.replace(/\r$/, ''));
+    this.header = headerLines.filter(line => line.trim() !== '');
+
+    const { format, elements } = this.parseHeaderLines(this.header);
+    const vertexElement = elements.find(element => element.name === 'vertex');
+
+    this.format = format;
+    this.elements = elements;
+    this.vertexCount = vertexElement ? vertexElement.count : 0;
+    this.properties = vertexElement ? vertexElement.properties : [];
+
+    return {
+      header: this.header,
+      format: format,
+      elements: elements,
+      vertexCount: this.vertexCount,
+      properties: this.properties,
+      // null if the vertex rows do not have a fixed size (ascii, or list properties)
+      vertexSize: vertexElement ? this.getRowSize(vertexElement, format) : null,
+      headerLength: headerLength
+    };
+  }
+
+  parseHeaderLines(headerLines) {
+    let format = 'binary_little_endian';
+    const elements = [];
+
+    for (const line of headerLines) {
+      const parts = line.trim().split(/\s+/);
+      if (parts[0] === 'format') {
+        format = parts[1];
+        if (!PLY_FORMATS.includes(format)) {
+          throw new Error(`PLYParser: unsupported format ${format}`);
+        }
+      } else if (parts[0] === 'element') {
+        elements.push({ name: parts[1], count: parseInt(parts[2]), properties: [] });
+      } else if (parts[0] === 'property') {
+        const element = elements[elements.length - 1];
+        if (!element) {
+          throw new Error(`PLYParser: property outside of an element: ${line}`);
+        }
+        if (parts[1] === 'list') {
+          for (const type of [parts[2], parts[3]]) {
+            if (!PLY_TYPES[type]) throw new Error(`PLYParser: unknown type ${type}`);
+          }
+          element.properties.push({ type: 'list', countType: parts[2], itemType: parts[3], name: parts[4] });
+        } else {
+          if (!PLY_TYPES[parts[1]]) throw new Error(`PLYParser: unknown type ${parts[1]}`);
+          element.properties.push({ type: parts[1], name: parts[2] });
+        }
+      }
+    }
+
+    return { format, elements };
+  }
+
+  getRowSize(element, format) {
+    if (format === 'ascii' || element.properties.some(prop => prop.type === 'list')) {
+      return null;
+    }
+    return element.properties.reduce((size, prop) => size + PLY_TYPES[prop.type][0], 0);
+  }
+
+  // Find the byte range of every element in the body.
+  // rowOffsets (count + 1 entries) is only built for elements without a fixed row size.
+  locateElements(arrayBuffer) {
+    const info = this.parseHeader(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+    const littleEndian = info.format === 'binary_little_endian';
+
+    const blocks = [];
+    let offset = info.headerLength;
+
+    for (const element of info.elements) {
+      const begin = offset;
+      const rowSize = this.getRowSize(element, info.format);
+      let rowOffsets = null;
+
+      if (rowSize !== null) {
+        offset += rowSize * element.count;
+      } else {
+        rowOffsets = new Float64Array(element.count + 1);
+        for (let i = 0; i < element.count; i++) {
+          if (info.format === 'ascii') {
+            // skip blank lines
+            while (offset < bytes.length && (bytes[offset] === 10 || bytes[offset] === 13)) offset++;
+            rowOffsets[i] = offset;
+            const lineEnd = bytes.indexOf(10, offset);
+            offset = lineEnd < 0 ? bytes.length : lineEnd + 1;
+          } else {
+            rowOffsets[i] = offset;
+            for (const prop of element.properties) {
+              if (prop.type === 'list') {
+                const [countSize, countGetter] = PLY_TYPES[prop.countType];
+                const count = view[countGetter](offset, littleEndian);
+                offset += countSize + count * PLY_TYPES[prop.itemType][0];
+              } else {
+                offset += PLY_TYPES[prop.type][0];
+              }
+            }
+          }
+        }
+        rowOffsets[element.count] = offset;
+      }
+
+      if (offset > bytes.length) {
+        throw new Error(`PLYParser: unexpected end of file in element ${element.name}`);
+      }
+      blocks.push({ element, begin, end: offset, rowSize, rowOffsets });
+    }
+
+    return { info, blocks, end: offset };
+  }
+
+  getRowRange(block, i) {
+    if (block.rowOffsets) {
+      return [block.rowOffsets[i], block.rowOffsets[i + 1]];
+    }
+    const begin = block.begin + i * block.rowSize;
+    return [begin, begin + block.rowSize];
+  }
+
+  readRow(view, bytes, begin, end, element, format) {
+    const row = {};
+
+    if (format === 'ascii') {
+      const tokens = String.fromCharCode.apply(null, bytes.subarray(begin, end)).trim().split(/\s+/);
+      let t = 0;
+      const parseToken = (type) => {
+        const token = tokens[t++];
+        return type.startsWith('float') || type === 'double' ? parseFloat(token) : parseInt(token);
+      };
+      for (const prop of element.properties) {
+        if (prop.type === 'list') {
+          const count = parseToken(prop.countType);
+          row[prop.name] = [];
+          for (let k = 0; k < count; k++) row[prop.name].push(parseToken(prop.itemType));
+        } else {
+          row[prop.name] = parseToken(prop.type);
+        }
+      }
+      return row;
+    }
+
+    const littleEndian = format === 'binary_little_endian';
+    let offset = begin;
+    for (const prop of element.properties) {
+      if (prop.type === 'list') {
+        const [countSize, countGetter] = PLY_TYPES[prop.countType];
+        const [itemSize, itemGetter] = PLY_TYPES[prop.itemType];
+        const count = view[countGetter](offset, littleEndian);
+        offset += countSize;
+        row[prop.name] = [];
+        for (let k = 0; k < count; k++) {
+          row[prop.name].push(view[itemGetter](offset, littleEndian));
+          offset += itemSize;
+        }
+      } else {
+        const [size, getter] = PLY_TYPES[prop.type];
+        row[prop.name] = view[getter](offset, littleEndian);
+        offset += size;
+      }
+    }
+    return row;
+  }
+
+  writeRow(row, element, format) {
+    if (format === 'ascii') {
+      const tokens = [];
+      for (const prop of element.properties) {
+        const value = row[prop.name];
+        if (prop.type === 'list') {
+          tokens.push(value.length, ...value);
+        } else {
+          tokens.push(value);
+        }
+      }
+      return new TextEncoder().encode(tokens.join(' ') + '\n');
+    }
+
+    let size = 0;
+    for (const prop of element.properties) {
+      size += prop.type === 'list' ?
+        PLY_TYPES[prop.countType][0] + row[prop.name].length * PLY_TYPES[prop.itemType][0] :
+        PLY_TYPES[prop.type][0];
+    }
+
+    const littleEndian = format === 'binary_little_endian';
+    const buffer = new Uint8Array(size);
+    const view = new DataView(buffer.buffer);
+    let offset = 0;
+    for (const prop of element.properties) {
+      const value = row[prop.name];
+      if (prop.type === 'list') {
+        const [countSize, , countSetter] = PLY_TYPES[prop.countType];
+        const [itemSize, , itemSetter] = PLY_TYPES[prop.itemType];
+        view[countSetter](offset, value.length, littleEndian);
+        offset += countSize;
+        for (const item of value) {
+          view[itemSetter](offset, item, littleEndian);
+          offset += itemSize;
+        }
+      } else {
+        const [size, , setter] = PLY_TYPES[prop.type];
+        view[setter](offset, value, littleEndian);
+        offset += size;
+      }
+    }
+    return buffer;
+  }
+
+  async fetchPLY(url, showProgress) {
 
     let totalLength;
 
@@ -73,66 +330,43 @@ export class PLYParser {
       offset += chunk.length;
     }
 
-    const data = new DataView(arrayBuffer);
-    offset = 0;
+    return arrayBuffer;
+  }
 
-    let headerText = '';
-    while (true) {
-      const byte = data.getUint8(offset++);
-      headerText += String.fromCharCode(byte);
-      if (headerText.includes('end_header\n')) break;
-    }
+  async parsePLY(url, showProgress) {
+    const arrayBuffer = await this.fetchPLY(url, showProgress);
+    return await this.parsePLYBuffer(arrayBuffer);
+  }
 
-    const headerLines = headerText.split('\n');
-    this.header = headerLines.filter(line => line.trim() !== '');
-    
-    let format = 'binary_little_endian';
-    for (const line of this.header) {
-      if (line.startsWith('format')) {
-        format = line.split(' ')[1];
-      } else if (line.startsWith('element vertex')) {
-        this.vertexCount = parseInt(line.split(' ')[2]);
-      } else if (line.startsWith('property')) {
-        const parts = line.split(' ');
-        this.properties.push({
-          type: parts[1],
-          name: parts[2]
-        });
-      }
-    }
+  // Same as parsePLY, but returns one typed array per vertex property instead of per-vertex objects.
+  // Use this for large scans.
+  async parsePLYColumns(url, showProgress) {
+    const arrayBuffer = await this.fetchPLY(url, showProgress);
+    return this.parseColumns(arrayBuffer);
+  }
 
-    const vertexSize = this.properties.reduce((size, prop) => {
-      return size + this.propertyTypes.get(prop.type);
-    }, 0);
+  async parsePLYBuffer(arrayBuffer) {
+    const { info, blocks, end } = this.locateElements(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+    const data = new DataView(arrayBuffer);
+
+    const vertexBlockIndex = blocks.findIndex(block => block.element.name === 'vertex');
+    if (vertexBlockIndex < 0) {
+      throw new Error('PLYParser: no vertex element');
+    }
+    const vertexBlock = blocks[vertexBlockIndex];
+    const vertexElement = vertexBlock.element;
 
     const vertices = [];
-    const verticesRawData = new Uint8Array(arrayBuffer.slice(offset));
 
-    for (let i = 0; i < this.vertexCount; i++) {
-      const vertex = {
-        rawData: verticesRawData.slice(i * vertexSize, (i + 1) * vertexSize)
-      };
-      
-      let propertyOffset = 0;
-      for (const prop of this.properties) {
-        const size = this.propertyTypes.get(prop.type);
-        let value;
-        
-        switch (prop.type) {
-          case 'float':
-            value = data.getFloat32(offset + propertyOffset, true);
-            break;
-        }
-        
-        vertex[prop.name] = value;
-        propertyOffset += size;
-      }
-      
+    for (let i = 0; i < vertexElement.count; i++) {
+      const [begin, rowEnd] = this.getRowRange(vertexBlock, i);
+      const vertex = this.readRow(data, bytes, begin, rowEnd, vertexElement, info.format);
+      vertex.rawData = bytes.slice(begin, rowEnd);
       vertices.push(vertex);
-      offset += vertexSize;
 
-      if (i % 10000 === 0) {
-        const progress = (i / this.vertexCount) * 100;
+      if (i % 10000 === 0 && typeof document !== 'undefined') {
+        const progress = (i / vertexElement.count) * 100;
         const loaddisplay = document.getElementById('loaddisplay');
         if (loaddisplay) {
           await new Promise(resolve => {
@@ -144,56 +378,243 @@ export class PLYParser {
         }
       }
     }
-    const loaddisplayFinal = document.getElementById('loaddisplay');
+    const loaddisplayFinal = typeof document !== 'undefined' && document.getElementById('loaddisplay');
     if (loaddisplayFinal) {
       loaddisplayFinal.innerHTML = `${(100).toFixed(1)}% (2/2)`;
     }
 
     return {
       header: this.header,
+      format: info.format,
+      elements: info.elements,
       vertices: vertices,
       vertexCount: this.vertexCount,
-      vertexSize: vertexSize
+      vertexSize: info.vertexSize,
+      elementData: this.readElementData(info, blocks, vertexBlockIndex, bytes, data, end)
+    };
+  }
+
+  /**
+   * Parse a PLY into columns.
+   * @param {ArrayBuffer} arrayBuffer - The whole PLY file
+   * @returns {Object} header, format, vertexCount, vertexSize, properties, elementData, and
+   *   columns: {name: TypedArray} (list properties: Array of Arrays),
+   *   vertexData: the raw vertex block (a view into arrayBuffer),
+   *   rowOffsets: row i is vertexData[rowOffsets[i], rowOffsets[i + 1]) (null if rows have a fixed size)
+   */
+  parseColumns(arrayBuffer) {
+    const { info, blocks, end } = this.locateElements(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+
+    const vertexBlockIndex = blocks.findIndex(block => block.element.name === 'vertex');
+    if (vertexBlockIndex < 0) {
+      throw new Error('PLYParser: no vertex element');
+    }
+    const vertexBlock = blocks[vertexBlockIndex];
+    const vertexElement = vertexBlock.element;
+    const count = vertexElement.count;
+
+    const columns = {};
+    for (const prop of vertexElement.properties) {
+      columns[prop.name] = prop.type === 'list' ? new Array(count) : new PLY_TYPES[prop.type][3](count);
+    }
+
+    if (vertexBlock.rowSize !== null) {
+      const littleEndian = info.format === 'binary_little_endian';
+      let propOffset = 0;
+      for (const prop of vertexElement.properties) {
+        const [size, getter] = PLY_TYPES[prop.type];
+        const column = columns[prop.name];
+        let offset = vertexBlock.begin + propOffset;
+        for (let i = 0; i < count; i++) {
+          column[i] = view[getter](offset, littleEndian);
+          offset += vertexBlock.rowSize;
+        }
+        propOffset += size;
+      }
+    } else {
+      for (let i = 0; i < count; i++) {
+        const [begin, rowEnd] = this.getRowRange(vertexBlock, i);
+        const row = this.readRow(view, bytes, begin, rowEnd, vertexElement, info.format);
+        for (const prop of vertexElement.properties) {
+          columns[prop.name][i] = row[prop.name];
+        }
+      }
+    }
+
+    let rowOffsets = null;
+    if (vertexBlock.rowOffsets) {
+      rowOffsets = vertexBlock.rowOffsets.map(offset => offset - vertexBlock.begin);
+    }
+
+    return {
+      header: this.header,
+      format: info.format,
+      elements: info.elements,
+      properties: vertexElement.properties,
+      vertexCount: count,
+      vertexSize: info.vertexSize,
+      columns: columns,
+      vertexData: bytes.subarray(vertexBlock.begin, vertexBlock.end),
+      rowOffsets: rowOffsets,
+      elementData: this.readElementData(info, blocks, vertexBlockIndex, bytes, view, end)
     };
   }
 
-  createPLYFile(header, vertices, vertexSize) {
+  // other elements (faces, cameras, ...) are kept as they are, before and after the vertices
+  readElementData(info, blocks, vertexBlockIndex, bytes, view, end) {
+    const vertexBlock = blocks[vertexBlockIndex];
+    const readRows = (block) => {
+      const rows = [];
+      for (let i = 0; i < block.element.count; i++) {
+        const [begin, rowEnd] = this.getRowRange(block, i);
+        rows.push(this.readRow(view, bytes, begin, rowEnd, block.element, info.format));
+      }
+      return { element: block.element, rows };
+    };
+    return {
+      before: bytes.slice(info.headerLength, vertexBlock.begin),
+      after: bytes.slice(vertexBlock.end, end),
+      beforeRows: blocks.slice(0, vertexBlockIndex).map(readRows),
+      afterRows: blocks.slice(vertexBlockIndex + 1).map(readRows),
+    };
+  }
+
+  // vertices: per-vertex objects (parsePLY), or columnar data (parseColumns / parsePLYColumns)
+  // elementData: as returned by the parser, to keep non-vertex elements
+  // format: write in another format than the header's (e.g. 'binary_little_endian' for gaussian-splats-3d)
+  // indices: for columnar data, the rows to write (in that order). All rows if null.
+  //   The faces of elementData are remapped to them (see subsetElements)
+  createPLYFile(header, vertices, vertexSize, elementData = null, format = null, indices = null) {
+    if (elementData && indices && vertices.columns) {
+      ({ header, elementData } = this.subsetElements(header, elementData, vertices.vertexCount, indices));
+    }
+
+    const { format: sourceFormat, elements } = this.parseHeaderLines(header);
+    const vertexElement = elements.find(element => element.name === 'vertex');
+    const targetFormat = format || sourceFormat;
+
+    if (targetFormat !== sourceFormat) {
+      header = header.map(line => line.startsWith('format') ? `format ${targetFormat} 1.0` : line);
+    }
+
+    let vertexParts;
+    if (vertices.columns) {
+      vertexParts = [this.encodeColumns(vertices, vertexElement, targetFormat, indices)];
+    } else if (targetFormat === sourceFormat) {
+      vertexParts = vertices.map(vertex => vertex.rawData);
+    } else {
+      vertexParts = vertices.map(vertex => this.writeRow(vertex, vertexElement, targetFormat));
+    }
+
+    let parts = vertexParts;
+    if (elementData) {
+      if (targetFormat === sourceFormat) {
+        parts = [elementData.before, ...vertexParts, elementData.after];
+      } else {
+        const encodeRows = ({ element, rows }) => rows.map(row => this.writeRow(row, element, targetFormat));
+        parts = [
+          ...elementData.beforeRows.flatMap(encodeRows), ...vertexParts, ...elementData.afterRows.flatMap(encodeRows)];
+      }
+    }
+
     const headerStr = header.join('\n') + '\n';
     const encoder = new TextEncoder();
     const headerArray = encoder.encode(headerStr);
 
-    const verticesArray = new Uint8Array(vertices.length * vertexSize);
-    vertices.forEach((vertex, index) => {
-      verticesArray.set(vertex.rawData, index * vertexSize);
-    });
-
-    const finalArray = new Uint8Array(headerArray.length + verticesArray.length);
+    const bodyLength = parts.reduce((length, part) => length + part.length, 0);
+    const finalArray = new Uint8Array(headerArray.length + bodyLength);
     finalArray.set(headerArray, 0);
-    finalArray.set(verticesArray, headerArray.length);
+
+    let offset = headerArray.length;
+    for (const part of parts) {
+      finalArray.set(part, offset);
+      offset += part.length;
+    }
 
     return finalArray;
   }
 
-  async splitPLY(plyUrl, sceneSplatIndices) {
-    const plyData = await this.parsePLY(plyUrl, false);
+  // write the rows `indices` of columnar data as one vertex block
+  encodeColumns(data, vertexElement, format, indices = null) {
+    const count = indices ? indices.length : data.vertexCount;
+    const rowIndex = indices ? (k => indices[k]) : (k => k);
+
+    // same format: copy the rows as they are
+    if (format === data.format) {
+      const rowRange = data.rowOffsets ?
+        (i => [data.rowOffsets[i], data.rowOffsets[i + 1]]) :
+        (i => [i * data.vertexSize, (i + 1) * data.vertexSize]);
+
+      let length = 0;
+      for (let k = 0; k < count; k++) {
+        const [begin, rowEnd] = rowRange(rowIndex(k));
+        length += rowEnd - begin;
+      }
+      const buffer = new Uint8Array(length);
+      let offset = 0;
+      for (let k = 0; k < count; k++) {
+        const [begin, rowEnd] = rowRange(rowIndex(k));
+        buffer.set(data.vertexData.subarray(begin, rowEnd), offset);
+        offset += rowEnd - begin;
+      }
+      return buffer;
+    }
 
-    const createModifiedHeader = (vertexCount) => {
-      return plyData.header.map(line => {
-        if (line.startsWith('element vertex')) {
-          return `element vertex ${vertexCount}`;
+    const rowSize = this.getRowSize(vertexElement, format);
+
+    // fixed-size binary rows: write straight from the columns
+    if (rowSize !== null) {
+      const littleEndian = format === 'binary_little_endian';
+      const buffer = new Uint8Array(count * rowSize);
+      const view = new DataView(buffer.buffer);
+      let propOffset = 0;
+      for (const prop of vertexElement.properties) {
+        const [size, , setter] = PLY_TYPES[prop.type];
+        const column = data.columns[prop.name];
+        for (let k = 0; k < count; k++) {
+          view[setter](k * rowSize + propOffset, column[rowIndex(k)], littleEndian);
         }
-        return line;
-      });
-    };
+        propOffset += size;
+      }
+      return buffer;
+    }
+
+    // ascii or list properties: row by row
+    const rows = [];
+    let length = 0;
+    for (let k = 0; k < count; k++) {
+      const i = rowIndex(k);
+      const row = {};
+      for (const prop of vertexElement.properties) {
+        row[prop.name] = data.columns[prop.name][i];
+      }
+      const encoded = this.writeRow(row, vertexElement, format);
+      rows.push(encoded);
+      length += encoded.length;
+    }
+    const buffer = new Uint8Array(length);
+    let offset = 0;
+    for (const row of rows) {
+      buffer.set(row, offset);
+      offset += row.length;
+    }
+    return buffer;
+  }
+
+  async splitPLY(plyUrl, sceneSplatIndices) {
+    const plyData = await this.parsePLYColumns(plyUrl, false);
 
     const sceneUrls = [];
     for (const [sceneIndex, indices] of Object.entries(sceneSplatIndices)) {
-      const sceneVertices = indices.map(index => plyData.vertices[index]);
-
       const scenePlyData = this.createPLYFile(
-        createModifiedHeader(sceneVertices.length),
-        sceneVertices,
-        plyData.vertexSize
+        this.createModifiedHeader(plyData.header, indices.length),
+        plyData,
+        plyData.vertexSize,
+        plyData.elementData,
+        null,
+        indices
       );
 
       const blob = new Blob([scenePlyData], { type: 'application/octet-stream' });
@@ -202,4 +623,132 @@ export class PLYParser {
 
     return sceneUrls;
   }
-}
\ No newline at end of file
+
+  /**
+   * Keep the other elements consistent with a subset of the vertices: the vertex index lists of faces
+   * (vertex_indices or vertex_index) are remapped to the new vertex order, and faces with a vertex that
+   * is not kept are dropped. Elements without vertex index lists are kept as they are.
+   * @param {string[]} header - Header lines (the element counts are updated)
+   * @param {Object} elementData - As returned by the parsers
+   * @param {number} vertexCount - Number of vertices in the source
+   * @param {ArrayLike<number>} indices - The source vertex of each new vertex
+   * @returns {{header: string[], elementData: Object}}
+   */
+  subsetElements(header, elementData, vertexCount, indices) {
+    const hasVertexIndices = ({ element }) =>
+      element.properties.some(prop => prop.type === 'list' && VERTEX_INDEX_LISTS.includes(prop.name));
+    const blocks = [...elementData.beforeRows, ...elementData.afterRows];
+    if (!blocks.some(hasVertexIndices)) {
+      return { header, elementData };
+    }
+
+    const newIndex = new Int32Array(vertexCount).fill(-1);
+    for (let k = 0; k < indices.length; k++) {
+      newIndex[indices[k]] = k;
+    }
+
+    const counts = new Map();
+    const subsetRows = (block) => {
+      if (!hasVertexIndices(block)) return block;
+      const rows = [];
+      for (const row of block.rows) {
+        const newRow = { ...row };
+        let kept = true;
+        for (const name of VERTEX_INDEX_LISTS) {
+          if (!Array.isArray(row[name])) continue;
+          newRow[name] = row[name].map(index => index >= 0 && index < vertexCount ? newIndex[index] : -1);
+          kept = kept && newRow[name].every(index => index >= 0);
+        }
+        if (kept) rows.push(newRow);
+      }
+      counts.set(block.element.name, rows.length);
+      return { element: { ...block.element, count: rows.length }, rows };
+    };
+
+    const { format } = this.parseHeaderLines(header);
+    const encodeRows = ({ element, rows }) => rows.map(row => this.writeRow(row, element, format));
+    const beforeRows = elementData.beforeRows.map(subsetRows);
+    const afterRows = elementData.afterRows.map(subsetRows);
+
+    return {
+      header: header.map(line => {
+        const parts = line.trim().split(/\s+/);
+        return parts[0] === 'element' && counts.has(parts[1]) ? `element ${parts[1]} ${counts.get(parts[1])}` : line;
+      }),
+      elementData: {
+        before: concatBytes(beforeRows.flatMap(encodeRows)),
+        after: concatBytes(afterRows.flatMap(encodeRows)),
+        beforeRows,
+        afterRows,
+      },
+    };
+  }
+
+  // The following work on the PLY in memory, without per-vertex objects.
+  // Faces are remapped to the copied vertices (see subsetElements), other elements are copied as they are.
+
+  createModifiedHeader(header, vertexCount) {
+    return header.map(line => {
+      if (line.startsWith('element vertex')) {
+        return `element vertex ${vertexCount}`;
+      }
+      return line;
+    });
+  }
+
+  // copy the vertices at `indices` (in that order) into a new PLY file
+  reorderPLY(arrayBuffer, indices) {
+    const { info, blocks, end } = this.locateElements(arrayBuffer);
+    const vertexBlock = blocks.find(block => block.element.name === 'vertex');
+    const bytes = new Uint8Array(arrayBuffer);
+
+    const ranges = Array.from(indices, index => this.getRowRange(vertexBlock, index));
+    return this.assemblePLY(info, blocks, bytes, end, indices, ranges);
+  }
+
+  // copy `count` vertices starting at `start` into a new PLY file
+  slicePLY(arrayBuffer, start, count) {
+    const { info, blocks, end } = this.locateElements(arrayBuffer);
+    const vertexBlock = blocks.find(block => block.element.name === 'vertex');
+    const bytes = new Uint8Array(arrayBuffer);
+
+    const [begin] = this.getRowRange(vertexBlock, start);
+    const [, rowEnd] = count > 0 ? this.getRowRange(vertexBlock, start + count - 1) : [begin, begin];
+    const indices = new Uint32Array(count);
+    for (let k = 0; k < count; k++) {
+      indices[k] = start + k;
+    }
+    return this.assemblePLY(info, blocks, bytes, end, indices, [[begin, rowEnd]]);
+  }
+
+  // indices: the source vertex of each new vertex, ranges: their rows in bytes
+  assemblePLY(info, blocks, bytes, end, indices, ranges) {
+    const vertexBlockIndex = blocks.findIndex(block => block.element.name === 'vertex');
+    const vertexBlock = blocks[vertexBlockIndex];
+    let header = this.createModifiedHeader(info.header, indices.length);
+    let before = bytes.subarray(info.headerLength, vertexBlock.begin);
+    let after = bytes.subarray(vertexBlock.end, end);
+    if (vertexBlockIndex > 0 || vertexBlockIndex < blocks.length - 1) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const elementData = this.readElementData(info, blocks, vertexBlockIndex, bytes, view, end);
+      ({ header, elementData: { before, after } } = this.subsetElements(header, elementData, vertexBlock.element.count, indices));
+    }
+    const headerArray = new TextEncoder().encode(header.join('\n') + '\n');
+
+    const verticesLength = ranges.reduce((length, [begin, rowEnd]) => length + rowEnd - begin, 0);
+    const finalArray = new Uint8Array(headerArray.length + before.length + verticesLength + after.length);
+
+    let offset = 0;
+    finalArray.set(headerArray, offset);
+    offset += headerArray.length;
+    finalArray.set(before, offset);
+    offset += before.length;
+    for (const [begin, rowEnd] of ranges) {
+      finalArray.set(bytes.subarray(begin, rowEnd), offset);
+      offset += rowEnd - begin;
+    }
+    finalArray.set(after, offset);
+
+    return finalArray;
+  }
+}
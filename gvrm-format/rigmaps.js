@@ -0,0 +1,237 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Bone-name maps from animation rigs to VRM humanoid bones, used to retarget FBX / GLB / BVH clips
+// (see loadMixamoAnimation in vrm.js). Map keys are bone names without prefixes (see stripBonePrefix).
+
+
+// finger names of the VRM humanoid, by joint number (1: closest to the hand)
+const FINGER_JOINTS = {
+  Thumb: ['Metacarpal', 'Proximal', 'Distal'],
+  Index: ['Proximal', 'Intermediate', 'Distal'],
+  Middle: ['Proximal', 'Intermediate', 'Distal'],
+  Ring: ['Proximal', 'Intermediate', 'Distal'],
+  Little: ['Proximal', 'Intermediate', 'Distal'],
+};
+
+
+function createMixamoRigMap() {
+  const map = {
+    Hips: 'hips',
+    Spine: 'spine',
+    Spine1: 'chest',
+    Spine2: 'upperChest',
+    Neck: 'neck',
+    Head: 'head',
+  };
+  for (const [Side, side] of [['Left', 'left'], ['Right', 'right']]) {
+    Object.assign(map, {
+      [`${Side}Shoulder`]: `${side}Shoulder`,
+      [`${Side}Arm`]: `${side}UpperArm`,
+      [`${Side}ForeArm`]: `${side}LowerArm`,
+      [`${Side}Hand`]: `${side}Hand`,
+      [`${Side}UpLeg`]: `${side}UpperLeg`,
+      [`${Side}Leg`]: `${side}LowerLeg`,
+      [`${Side}Foot`]: `${side}Foot`,
+      [`${Side}ToeBase`]: `${side}Toes`,
+    });
+    for (const [finger, joints] of Object.entries(FINGER_JOINTS)) {
+      const mixamoFinger = finger === 'Little' ? 'Pinky' : finger;
+      joints.forEach((joint, i) => {
+        map[`${Side}Hand${mixamoFinger}${i + 1}`] = `${side}${finger}${joint}`;
+      });
+    }
+  }
+  return map;
+}
+
+
+// Unreal Engine Mannequin (UE4; UE5 has more spine bones, spine_04 and spine_05 are not mapped)
+function createUnrealRigMap() {
+  const map = {
+    pelvis: 'hips',
+    spine_01: 'spine',
+    spine_02: 'chest',
+    spine_03: 'upperChest',
+    neck_01: 'neck',
+    head: 'head',
+  };
+  for (const [s, side] of [['l', 'left'], ['r', 'right']]) {
+    Object.assign(map, {
+      [`clavicle_${s}`]: `${side}Shoulder`,
+      [`upperarm_${s}`]: `${side}UpperArm`,
+      [`lowerarm_${s}`]: `${side}LowerArm`,
+      [`hand_${s}`]: `${side}Hand`,
+      [`thigh_${s}`]: `${side}UpperLeg`,
+      [`calf_${s}`]: `${side}LowerLeg`,
+      [`foot_${s}`]: `${side}Foot`,
+      [`ball_${s}`]: `${side}Toes`,
+    });
+    for (const [finger, joints] of Object.entries(FINGER_JOINTS)) {
+      const unrealFinger = finger === 'Little' ? 'pinky' : finger.toLowerCase();
+      joints.forEach((joint, i) => {
+        map[`${unrealFinger}_0${i + 1}_${s}`] = `${side}${finger}${joint}`;
+      });
+    }
+  }
+  return map;
+}
+
+
+// CMU motion capture (BVH): Mixamo names, one joint per thumb
+function createCMURigMap() {
+  return {
+    ...createMixamoRigMap(),
+    LThumb: 'leftThumbProximal',
+    RThumb: 'rightThumbProximal',
+  };
+}
+
+
+const rigMaps = {
+  mixamo: createMixamoRigMap(),
+  unreal: createUnrealRigMap(),
+  cmu: createCMURigMap(),
+};
+
+// prefixes removed from bone names: namespaces ('rig:'), Mixamo ('mixamorig'), 3ds Max Biped ('Bip01 ')
+// and VRoid ('J_Bip_C_', 'J_Bip_L_' keeps the side). 'Bip' needs a separator, so that 'Biped' is kept.
+const BONE_PREFIX = /^(.*[:|])?(mixamorig|(j_)?bip\d*[ _](c_)?)?/i;
+
+
+export function stripBonePrefix(name) {
+  return name.replace(BONE_PREFIX, '').trim();
+}
+
+
+/**
+ * Register a bone-name map for retargeting, usable as options.rigMap of the animation loaders.
+ * @param {string} name
+ * @param {Object<string, string>} map - Bone name (without prefixes, see stripBonePrefix) -> VRM humanoid bone name
+ */
+export function registerRigMap(name, map) {
+  rigMaps[name] = map;
+}
+
+
+export function getRigMap(name) {
+  const map = rigMaps[name];
+  if (!map) {
+    throw new Error(`Unknown rig map ${name} (${Object.keys(rigMaps).join(', ')})`);
+  }
+  return map;
+}
+
+
+/**
+ * Guess the VRM humanoid bone of a bone name, e.g. 'LeftForeArm', 'upperarm_l', 'L_Thigh', 'Bip01 R Calf'.
+ * Spine bones are numbered ('spine', 'spine1', ...) and resolved by detectRigMap.
+ * @param {string} name
+ * @returns {string|null} A VRM humanoid bone name, 'spine<n>' or null
+ */
+export function guessVRMBoneName(name) {
+  let key = stripBonePrefix(name);
+  let side = null;
+
+  // 'Left...', 'L_...', '..._l', '....L', 'LThumb'
+  const sideMatch =
+    key.match(/^(left|right)[^a-z]?/i) ??
+    key.match(/^(l|r)[_.\s-]/i) ??
+    key.match(/[_.\s-](l|r)$/i) ??
+    key.match(/^(L|R)(?=[A-Z])/);
+  if (sideMatch) {
+    side = sideMatch[1][0].toLowerCase() === 'l' ? 'left' : 'right';
+    key = key.replace(sideMatch[0], '');
+  }
+  key = key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  const finger = key.match(/^(?:hand)?(thumb|index|middle|ring|pinky|little)0?([123])$/);
+  if (finger) {
+    if (!side) return null;
+    const fingerName = { thumb: 'Thumb', index: 'Index', middle: 'Middle', ring: 'Ring', pinky: 'Little', little: 'Little' }[finger[1]];
+    return `${side}${fingerName}${FINGER_JOINTS[fingerName][Number(finger[2]) - 1]}`;
+  }
+
+  const sided = [
+    [/^(shoulder|clavicle|collar)$/, 'Shoulder'],
+    [/^(upperarm|arm)$/, 'UpperArm'],
+    [/^(forearm|lowerarm)$/, 'LowerArm'],
+    [/^(hand|wrist)$/, 'Hand'],
+    [/^(upleg|upperleg|thigh)$/, 'UpperLeg'],
+    [/^(leg|lowerleg|calf|shin|knee)$/, 'LowerLeg'],
+    [/^(foot|ankle)$/, 'Foot'],
+    [/^(toe|toes|toebase|ball)$/, 'Toes'],
+  ];
+  for (const [pattern, boneName] of sided) {
+    if (pattern.test(key)) return side ? `${side}${boneName}` : null;
+  }
+  if (side) return null;
+
+  if (/^(hips|pelvis)$/.test(key)) return 'hips';
+  if (/^spine0?\d*$/.test(key)) return key;
+  if (key === 'chest') return 'chest';
+  if (key === 'upperchest') return 'upperChest';
+  if (/^neck0?1?$/.test(key)) return 'neck';
+  if (key === 'head') return 'head';
+  return null;
+}
+
+
+/**
+ * Find a map for the bones of an animation rig: the registered map with the most matching bones
+ * (including hips), or else a map guessed from the names (see guessVRMBoneName).
+ * @param {string[]} boneNames - Bone names of the rig, parents first
+ * @returns {Object<string, string>} Bone name (without prefixes) -> VRM humanoid bone name
+ */
+export function detectRigMap(boneNames) {
+  const names = boneNames.map(stripBonePrefix);
+
+  let bestMap = null;
+  let bestCount = 0;
+  for (const map of Object.values(rigMaps)) {
+    const matches = names.filter((name) => map[name] !== undefined);
+    if (matches.some((name) => map[name] === 'hips') && matches.length > bestCount) {
+      bestMap = map;
+      bestCount = matches.length;
+    }
+  }
+  // all of the humanoid bones of a rig, or most of them
+  if (bestMap && bestCount >= Math.min(names.length, 15)) {
+    return bestMap;
+  }
+
+  const map = {};
+  const spines = [];
+  const used = new Set();
+  for (const name of names) {
+    const boneName = guessVRMBoneName(name);
+    if (!boneName || used.has(boneName)) continue;
+    if (boneName.startsWith('spine')) {
+      spines.push(name);
+      continue;
+    }
+    map[name] = boneName;
+    used.add(boneName);
+  }
+  // spine, chest, upperChest: the first, second and last spine bones
+  const spineBones = spines.length >= 3 ? [spines[0], spines[1], spines[spines.length - 1]] : spines;
+  spineBones.forEach((name, i) => {
+    if (!used.has(['spine', 'chest', 'upperChest'][i])) {
+      map[name] = ['spine', 'chest', 'upperChest'][i];
+    }
+  });
+  return map;
+}
+
+
+/**
+ * options.rigMap of the animation loaders: a registered name, a map, or 'auto' (see detectRigMap).
+ * @returns {Object<string, string>} Bone name (without prefixes) -> VRM humanoid bone name
+ */
+export function resolveRigMap(rigMap, boneNames) {
+  if (rigMap === 'auto') {
+    return detectRigMap(boneNames);
+  }
+  return typeof rigMap === 'string' ? getRigMap(rigMap) : rigMap;
+}
@@ -0,0 +1,262 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// data.json versioning, migrations and validation.
+// Files written before formatVersion existed are treated as version 0.
+
+export const FORMAT_VERSION = 3;
+
+
+// migrations[v] upgrades data.json from version v to v + 1
+const migrations = {
+  0: (data) => {
+    if (data.splatRelativePoses === undefined && data.relativePoses !== undefined) {
+      data.splatRelativePoses = data.relativePoses;
+      delete data.relativePoses;
+    }
+    return data;
+  },
+  1: (data) => {
+    // per-splat arrays may now live in splats.bin (see splatAttributes); JSON arrays are still accepted
+    return data;
+  },
+  2: (data) => {
+    // the splat payload used to be always model.ply
+    if (data.splatPayload === undefined) {
+      data.splatPayload = { format: 'ply', files: ['model.ply'] };
+    }
+    return data;
+  },
+};
+
+
+export function getFormatVersion(data) {
+  return data.formatVersion === undefined ? 0 : data.formatVersion;
+}
+
+
+/**
+ * Upgrade data.json to FORMAT_VERSION in place.
+ * @param {Object} data - Contents of data.json
+ * @returns {Object} The migrated data
+ */
+export function migrateGVRMData(data) {
+  let version = getFormatVersion(data);
+
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Invalid GVRM data: unknown formatVersion ${data.formatVersion}`);
+  }
+  if (version > FORMAT_VERSION) {
+    throw new Error(
+      `Invalid GVRM data: formatVersion ${version} is newer than supported (${FORMAT_VERSION})`);
+  }
+
+  while (version < FORMAT_VERSION) {
+    data = migrations[version](data);
+    version++;
+    data.formatVersion = version;
+  }
+
+  return data;
+}
+
+
+/**
+ * Check data.json against the splat/VRM it is used with.
+ * Counts that are not given are not checked, so this can be called before the VRM is loaded.
+ * @param {Object} data - Contents of data.json (already migrated)
+ * @param {Object} counts
+ * @param {number} [counts.splatCount] - Number of vertices in the PLY
+ * @param {number} [counts.vertexCount] - Number of vertices in the VRM skinned mesh
+ * @param {number} [counts.boneCount] - Number of bones in the VRM skeleton
+ * @returns {string[]} A list of problems (empty if valid)
+ */
+export function validateGVRMData(data, { splatCount, vertexCount, boneCount } = {}) {
+  const errors = [];
+
+  const isArray = (value) => Array.isArray(value) || ArrayBuffer.isView(value);
+
+  function checkLength(name, itemSize, count = splatCount) {
+    const value = data[name];
+    if (!isArray(value)) {
+      errors.push(`${name} is missing`);
+      return false;
+    }
+    if (count !== undefined && value.length !== count * itemSize) {
+      errors.push(`${name} has ${value.length} values, expected ${count * itemSize} ` +
+        `(${count} splats x ${itemSize})`);
+      return false;
+    }
+    if (value.length % itemSize !== 0) {
+      errors.push(`${name} has ${value.length} values, not a multiple of ${itemSize}`);
+      return false;
+    }
+    return true;
+  }
+
+  function checkRange(name, max, label) {
+    const value = data[name];
+    for (let i = 0; i < value.length; i++) {
+      const index = value[i];
+      if (!Number.isInteger(index) || index < 0 || (max !== undefined && index >= max)) {
+        errors.push(`${name}[${i}] = ${index} is out of range` +
+          (max !== undefined ? ` (${label}: ${max})` : ''));
+        return;
+      }
+    }
+  }
+
+  function checkFinite(name) {
+    const value = data[name];
+    for (let i = 0; i < value.length; i++) {
+      if (!Number.isFinite(value[i])) {
+        errors.push(`${name}[${i}] = ${value[i]} is not a finite number`);
+        return;
+      }
+    }
+  }
+
+  if (typeof data.modelScale !== 'number' || !(data.modelScale > 0)) {
+    errors.push(`modelScale must be a positive number (got ${data.modelScale})`);
+  }
+  if (!Array.isArray(data.boneOperations)) {
+    errors.push('boneOperations is missing');
+  }
+  if (!isArray(data.gsPosition) || data.gsPosition.length !== 3) {
+    errors.push('gsPosition must have 3 values');
+  }
+  if (!isArray(data.gsQuaternion) || data.gsQuaternion.length !== 4) {
+    errors.push('gsQuaternion must have 4 values');
+  }
+
+  const lengths = [
+    checkLength('splatVertexIndices', 1),
+    checkLength('splatBoneIndices', 1),
+    checkLength('splatRelativePoses', 3),
+  ];
+
+  if (lengths[0] && lengths[1] && splatCount === undefined &&
+      data.splatVertexIndices.length !== data.splatBoneIndices.length) {
+    errors.push(`splatVertexIndices (${data.splatVertexIndices.length}) and ` +
+      `splatBoneIndices (${data.splatBoneIndices.length}) have different lengths`);
+  }
+  if (lengths[0]) {
+    checkRange('splatVertexIndices', vertexCount, 'vertex count');
+  }
+  if (data.boneNames !== undefined &&
+      (!Array.isArray(data.boneNames) || !data.boneNames.every(name => typeof name === 'string'))) {
+    errors.push('boneNames must be an array of strings');
+  }
+  if (lengths[1]) {
+    if (boneCount === undefined && Array.isArray(data.boneNames)) {
+      checkRange('splatBoneIndices', data.boneNames.length, 'boneNames');
+    } else {
+      checkRange('splatBoneIndices', boneCount, 'bone count');
+    }
+  }
+  if (lengths[2]) {
+    checkFinite('splatRelativePoses');
+  }
+
+  // triangle binding (optional): all three arrays or none
+  const triangleArrays = ['splatTriangles', 'splatBarycentrics', 'splatNormalOffsets'];
+  const triangleArrayCount = triangleArrays.filter(name => data[name] !== undefined).length;
+  if (triangleArrayCount > 0 && triangleArrayCount < triangleArrays.length) {
+    errors.push(`${triangleArrays.join(', ')} must be given together`);
+  } else if (triangleArrayCount > 0) {
+    const triangleCount = splatCount ?? (lengths[0] ? data.splatVertexIndices.length : undefined);
+    const triangleLengths = [
+      checkLength('splatTriangles', 3, triangleCount),
+      checkLength('splatBarycentrics', 2, triangleCount),
+      checkLength('splatNormalOffsets', 1, triangleCount),
+    ];
+    if (triangleLengths[0]) {
+      checkRange('splatTriangles', vertexCount, 'vertex count');
+    }
+    for (const [i, name] of ['splatBarycentrics', 'splatNormalOffsets'].entries()) {
+      if (triangleLengths[i + 1]) checkFinite(name);
+    }
+  }
+
+  // level of detail (optional): the coarsest level of each splat, and the fraction of splats at each level
+  if ((data.splatLods === undefined) !== (data.lodFractions === undefined)) {
+    errors.push('splatLods and lodFractions must be given together');
+  } else if (data.lodFractions !== undefined) {
+    const fractions = data.lodFractions;
+    if (!Array.isArray(fractions) || fractions.length === 0 || fractions.length > 256 || fractions[0] !== 1 ||
+        !fractions.every((f, i) => typeof f === 'number' && f > 0 && (i === 0 || f < fractions[i - 1]))) {
+      errors.push('lodFractions must be decreasing fractions, starting at 1 (at most 256 levels)');
+    } else if (checkLength('splatLods', 1, splatCount ?? (lengths[0] ? data.splatVertexIndices.length : undefined))) {
+      checkRange('splatLods', fractions.length, 'lodFractions');
+    }
+  }
+
+  if (data.sceneRanges !== undefined) {
+    checkSceneRanges(data, splatCount, errors);
+  }
+
+  if (data.cleanupRules !== undefined) {
+    if (typeof data.cleanupRules !== 'object' || data.cleanupRules === null || Array.isArray(data.cleanupRules)) {
+      errors.push('cleanupRules must be an object');
+    } else {
+      for (const [name, maxDistance] of Object.entries(data.cleanupRules)) {
+        if (maxDistance !== null && !(typeof maxDistance === 'number' && maxDistance >= 0)) {
+          errors.push(`cleanupRules.${name} must be a non-negative number or null (got ${maxDistance})`);
+        }
+      }
+    }
+  }
+
+  const payload = data.splatPayload;
+  if (!payload || typeof payload.format !== 'string' || !Array.isArray(payload.files) || payload.files.length === 0) {
+    errors.push('splatPayload must have a format and a list of files');
+  } else if (payload.format !== 'ply' && !Array.isArray(data.sceneRanges)) {
+    errors.push(`sceneRanges are required for the ${payload.format} payload`);
+  } else if (payload.format === 'ksplat' && payload.files.length !== data.sceneRanges.length) {
+    errors.push(`ksplat payload has ${payload.files.length} files, expected one per scene (${data.sceneRanges.length})`);
+  }
+
+  return errors;
+}
+
+
+// sceneRanges must cover all splats in order, and each range must hold a single bone
+function checkSceneRanges(data, splatCount, errors) {
+  if (!Array.isArray(data.sceneRanges)) {
+    errors.push('sceneRanges must be an array');
+    return;
+  }
+
+  let next = 0;
+  for (let i = 0; i < data.sceneRanges.length; i++) {
+    const { bone, start, count } = data.sceneRanges[i];
+    if (start !== next || !Number.isInteger(count) || count < 0) {
+      errors.push(`sceneRanges[${i}] (start: ${start}, count: ${count}) is not contiguous`);
+      return;
+    }
+    const boneIndices = data.splatBoneIndices;
+    if (boneIndices) {
+      for (let j = start; j < start + count; j++) {
+        if (boneIndices[j] !== bone) {
+          errors.push(`sceneRanges[${i}] is for bone ${bone}, but splatBoneIndices[${j}] = ${boneIndices[j]}`);
+          return;
+        }
+      }
+    }
+    next = start + count;
+  }
+
+  const total = splatCount !== undefined ? splatCount : data.splatBoneIndices?.length;
+  if (total !== undefined && next !== total) {
+    errors.push(`sceneRanges cover ${next} splats, expected ${total}`);
+  }
+}
+
+
+export function assertValidGVRMData(data, counts) {
+  const errors = validateGVRMData(data, counts);
+  if (errors.length > 0) {
+    throw new Error(`Invalid GVRM data:\n  ${errors.join('\n  ')}`);
+  }
+}
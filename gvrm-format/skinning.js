@@ -0,0 +1,342 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// CPU reference of the splat skinning injected by GVRM.gsCustomizeMaterial, with the same math
+// (including the tempQuat.y sign flip of the covariance rotation). Much slower than the shader;
+// meant for tests, exporting posed splats, physics queries and checking the shader.
+
+import * as THREE from 'three';
+import { getVertexTangents } from './utils.js';
+
+
+/**
+ * Posed splat centers and covariances for the current skeleton pose.
+ * Bone world matrices are used as they are, update them first (e.g. scene.updateMatrixWorld()).
+ * Morph targets (expressions) are applied with the current influences of the meshes, and splats with
+ * a triangle binding (gs.splatTriangles) are interpolated between its vertices (with offsetFrame 'tangent',
+ * rotated with the vertex frames interpolated over the triangle).
+ * Results differ from the shader only by its texture precision (half-float offsets and morph deltas, 16-bit skin weights).
+ * @param {GVRM} gvrm - A loaded avatar
+ * @param {Object} [options]
+ * @param {string} [options.skinning] - 'linear' or 'dualQuaternion' (default: gvrm.skinning, or 'linear')
+ * @param {string} [options.offsetFrame] - 'mesh' or 'tangent' (default: gvrm.offsetFrame, or 'mesh')
+ * @param {number[]} [options.splatIndices] - Splats to compute (default: all)
+ * @returns {{centers: Float32Array, covariances: Float32Array}} World-space centers (x, y, z) and
+ *   covariances (upper triangle: xx, xy, xz, yy, yz, zz, as in GS3D) of each splat, in the order of splatIndices
+ */
+export function computePosedSplats(gvrm, {
+  skinning = gvrm.skinning ?? 'linear', offsetFrame = gvrm.offsetFrame ?? 'mesh', splatIndices = null } = {}) {
+  const { character, gs } = gvrm;
+  const skinnedMesh = character.skinnedMesh;
+  const skeleton = skinnedMesh.skeleton;
+  const positions = skinnedMesh.geometry.getAttribute('position');
+  const skinIndices = skinnedMesh.geometry.getAttribute('skinIndex');
+  const skinWeights = skinnedMesh.geometry.getAttribute('skinWeight');
+
+  // boneTexture (current pose) and boneTexture0 (pose the splats were bound in)
+  const boneMatrices = skeleton.bones.map((bone, i) =>
+    new THREE.Matrix4().multiplyMatrices(bone.matrixWorld, skeleton.boneInverses[i]));
+  const boneMatrices0 = skeleton.bones.map((bone, i) =>
+    new THREE.Matrix4().fromArray(skinnedMesh.boneTexture0.image.data, i * 16));
+
+  let boneDualQuats, boneDualQuats0;
+  if (skinning === 'dualQuaternion') {
+    // bone transforms in the bind space
+    const toBindSpace = (matrix, bindMatrix, bindMatrixInverse) =>
+      dualQuatFromMatrix(new THREE.Matrix4().multiplyMatrices(bindMatrixInverse, matrix).multiply(bindMatrix));
+    boneDualQuats = boneMatrices.map(m => toBindSpace(m, skinnedMesh.bindMatrix, skinnedMesh.bindMatrixInverse));
+    boneDualQuats0 = boneMatrices0.map(m => toBindSpace(m, skinnedMesh.bindMatrix0, skinnedMesh.bindMatrixInverse0));
+  } else if (skinning !== 'linear') {
+    throw new Error(`computePosedSplats: unknown skinning mode ${skinning}`);
+  }
+
+  // vertex frames of the offsets (see GVRMUtils.getVertexTangents)
+  let normals, tangents;
+  if (offsetFrame === 'tangent') {
+    normals = skinnedMesh.geometry.getAttribute('normal');
+    tangents = gs.meshTangents ?? getVertexTangents(skinnedMesh.geometry);
+  } else if (offsetFrame !== 'mesh') {
+    throw new Error(`computePosedSplats: unknown offset frame ${offsetFrame}`);
+  }
+
+  // morph targets (see GVRMUtils.getMorphTargetDeltas), with the current influences
+  const morphTargets = gs.morphTargets ?? { targets: [], vertices: [], deltas: new Float32Array(0) };
+  const morphSlots = new Map(morphTargets.vertices.map((vertex, slot) => [vertex, slot]));
+  const influences = morphTargets.targets.map(({ mesh, index }) => mesh.morphTargetInfluences[index]);
+
+  const meshMatrixWorld = character.currentVrm.scene.matrixWorld;
+  const gsRotation0 = new THREE.Matrix3().setFromMatrix4(gs.matrix0);
+  const gsRotation0T = gsRotation0.clone().transpose();
+  // transform of the splat scenes (gsMatrix * gsMatrix0 in the shader)
+  const transform3 = new THREE.Matrix3().setFromMatrix4(
+    new THREE.Matrix4().multiplyMatrices(gs.viewer.matrixWorld, gs.matrix0));
+  const transform3T = transform3.clone().transpose();
+
+  const count = splatIndices ? splatIndices.length : gs.splatCount;
+  const centers = new Float32Array(count * 3);
+  const covariances = new Float32Array(count * 6);
+
+  const vertex = new THREE.Vector3();
+  const relativePos = new THREE.Vector3();
+  const skinIndex = new THREE.Vector4();
+  const skinWeight = new THREE.Vector4();
+  const skinMatrix = new THREE.Matrix4();
+  const skinMatrix0 = new THREE.Matrix4();
+  const splatSkinMatrix = new THREE.Matrix4();
+  const relativeRotation = new THREE.Matrix3();
+  const covariance = new THREE.Matrix3();
+  const rotation = new THREE.Matrix3();
+
+  // mesh vertex position, with the morph target deltas
+  function getMeshPosition(vertexIndex, target) {
+    target.fromBufferAttribute(positions, vertexIndex);
+    const morphSlot = morphSlots.get(vertexIndex);
+    if (morphSlot !== undefined) {
+      influences.forEach((influence, t) => {
+        const k = (morphSlot * influences.length + t) * 3;
+        target.x += influence * morphTargets.deltas[k + 0];
+        target.y += influence * morphTargets.deltas[k + 1];
+        target.z += influence * morphTargets.deltas[k + 2];
+      });
+    }
+    return target;
+  }
+
+  // skin matrices of a mesh vertex in the current pose and in the pose the splats were bound in
+  function getSkinMatrices(vertexIndex, skinMatrix, skinMatrix0) {
+    skinIndex.fromBufferAttribute(skinIndices, vertexIndex);
+    skinWeight.fromBufferAttribute(skinWeights, vertexIndex);
+
+    if (boneDualQuats) {
+      matrixFromDualQuat(blendDualQuats(boneDualQuats, skinIndex, skinWeight), skinMatrix);
+      matrixFromDualQuat(blendDualQuats(boneDualQuats0, skinIndex, skinWeight), skinMatrix0);
+    } else {
+      // bindMatrixInverse * (sum of weight * boneMatrix) * bindMatrix
+      blendMatrices(boneMatrices, skinIndex, skinWeight, skinMatrix);
+      skinMatrix.premultiply(skinnedMesh.bindMatrixInverse).multiply(skinnedMesh.bindMatrix);
+      blendMatrices(boneMatrices0, skinIndex, skinWeight, skinMatrix0);
+      skinMatrix0.premultiply(skinnedMesh.bindMatrixInverse0).multiply(skinnedMesh.bindMatrix0);
+    }
+  }
+
+  const vertexNormal = new THREE.Vector3();
+  const vertexTangent = new THREE.Vector3();
+  const vertexRotation = new THREE.Matrix3();
+  const vertexFrame = new THREE.Matrix4();
+  const vertexFrame0 = new THREE.Matrix4();
+
+  // orthonormal (tangent, bitangent, normal) frame of a vertex, skinned by skinMatrix
+  function getVertexFrame(vertexIndex, skinMatrix, target) {
+    vertexRotation.setFromMatrix4(skinMatrix);
+    vertexNormal.fromBufferAttribute(normals, vertexIndex).applyMatrix3(vertexRotation).normalize();
+    vertexTangent.fromArray(tangents, vertexIndex * 3).applyMatrix3(vertexRotation);
+    vertexTangent.addScaledVector(vertexNormal, -vertexTangent.dot(vertexNormal)).normalize();
+    return target.makeBasis(vertexTangent, new THREE.Vector3().crossVectors(vertexNormal, vertexTangent), vertexNormal);
+  }
+
+  // triangle binding (see GVRMUtils.getSplatTriangles)
+  const trianglePositions = [0, 1, 2].map(() => new THREE.Vector3());
+  const trianglePositions0 = [0, 1, 2].map(() => new THREE.Vector3());
+  const triangleSkinMatrix = new THREE.Matrix4();
+  const triangleSkinMatrix0 = new THREE.Matrix4();
+  const triangleNormal = new THREE.Vector3();
+  const frame = new THREE.Matrix4();
+  const frame0 = new THREE.Matrix4();
+
+  const triangleNormal0 = new THREE.Vector3();
+  const normalOffset = new THREE.Vector3();
+  const triangleFrames = [0, 1, 2].map(() => new THREE.Matrix4());
+  const triangleFrames0 = [0, 1, 2].map(() => new THREE.Matrix4());
+
+  // rotation frame of a triangle (first edge, bitangent, normal)
+  function getTriangleFrame([p0, p1, p2], normal, target) {
+    const tangent = new THREE.Vector3().subVectors(p1, p0).normalize();
+    normal.subVectors(p1, p0).cross(new THREE.Vector3().subVectors(p2, p0)).normalize();
+    return target.makeBasis(tangent, new THREE.Vector3().crossVectors(normal, tangent), normal);
+  }
+
+  // vertex frames interpolated over a triangle, orthonormalized
+  function interpolateFrames(frames, barycentric, target) {
+    const normal = new THREE.Vector3();
+    const tangent = new THREE.Vector3();
+    const axis = new THREE.Vector3();
+    frames.forEach((frame, j) => {
+      normal.addScaledVector(axis.setFromMatrixColumn(frame, 2), barycentric[j]);
+      tangent.addScaledVector(axis.setFromMatrixColumn(frame, 0), barycentric[j]);
+    });
+    normal.normalize();
+    tangent.addScaledVector(normal, -tangent.dot(normal)).normalize();
+    return target.makeBasis(tangent, new THREE.Vector3().crossVectors(normal, tangent), normal);
+  }
+
+  for (let k = 0; k < count; k++) {
+    const i = splatIndices ? splatIndices[k] : k;
+    const vertexIndex = gs.splatVertexIndices[i];
+    getMeshPosition(vertexIndex, vertex);
+    getSkinMatrices(vertexIndex, skinMatrix, skinMatrix0);
+    splatSkinMatrix.copy(skinMatrix0).invert().premultiply(skinMatrix);
+    if (tangents) {
+      // the offset follows the vertex frame
+      getVertexFrame(vertexIndex, skinMatrix, vertexFrame);
+      getVertexFrame(vertexIndex, skinMatrix0, vertexFrame0);
+      splatSkinMatrix.copy(vertexFrame0).transpose().premultiply(vertexFrame);
+    }
+
+    // center: skinned vertex + skinned offset
+    vertex.applyMatrix4(skinMatrix);
+    relativePos.fromArray(gs.splatRelativePoses, i * 3).applyMatrix3(rotation.setFromMatrix4(splatSkinMatrix));
+    vertex.add(relativePos);
+
+    const triangle = gs.splatTriangles ? gs.splatTriangles.slice(i * 3, i * 3 + 3) : null;
+    if (triangle && triangle[0] !== triangle[1]) {
+      // interpolated between the skinned vertices of the triangle, offset along its normal
+      triangle.forEach((triangleVertex, j) => {
+        getMeshPosition(triangleVertex, trianglePositions[j]);
+        trianglePositions0[j].copy(trianglePositions[j]);
+        getSkinMatrices(triangleVertex, triangleSkinMatrix, triangleSkinMatrix0);
+        trianglePositions[j].applyMatrix4(triangleSkinMatrix);
+        trianglePositions0[j].applyMatrix4(triangleSkinMatrix0);
+        if (tangents) {
+          getVertexFrame(triangleVertex, triangleSkinMatrix, triangleFrames[j]);
+          getVertexFrame(triangleVertex, triangleSkinMatrix0, triangleFrames0[j]);
+        }
+      });
+      getTriangleFrame(trianglePositions0, triangleNormal0, frame0);
+      getTriangleFrame(trianglePositions, triangleNormal, frame);
+
+      const b1 = gs.splatBarycentrics[i * 2 + 0];
+      const b2 = gs.splatBarycentrics[i * 2 + 1];
+      if (tangents) {
+        // the normal offset and the splat rotate with the vertex frames, interpolated over the triangle
+        const barycentric = [1 - b1 - b2, b1, b2];
+        interpolateFrames(triangleFrames, barycentric, frame);
+        interpolateFrames(triangleFrames0, barycentric, frame0);
+        splatSkinMatrix.copy(frame0).transpose().premultiply(frame);
+        normalOffset.copy(triangleNormal0).multiplyScalar(gs.splatNormalOffsets[i])
+          .applyMatrix3(rotation.setFromMatrix4(splatSkinMatrix));
+      } else {
+        // the splat rotates with the triangle frame
+        splatSkinMatrix.copy(frame0).transpose().premultiply(frame);
+        normalOffset.copy(triangleNormal).multiplyScalar(gs.splatNormalOffsets[i]);
+      }
+      vertex.copy(trianglePositions[0]).multiplyScalar(1 - b1 - b2)
+        .addScaledVector(trianglePositions[1], b1)
+        .addScaledVector(trianglePositions[2], b2)
+        .add(normalOffset);
+    }
+
+    vertex.applyMatrix4(meshMatrixWorld);
+    vertex.toArray(centers, k * 3);
+
+    // covariance: rotated in the splat scene space, then into the world
+    relativeRotation.setFromMatrix4(splatSkinMatrix).premultiply(gsRotation0T).multiply(gsRotation0);
+    const q = quatFromMat3(relativeRotation);
+    q.y = -q.y;  // as in the shader
+    mat3FromQuat(q, rotation);
+
+    const c = gs.covariances;
+    covariance.set(
+      c[i * 6 + 0], c[i * 6 + 1], c[i * 6 + 2],
+      c[i * 6 + 1], c[i * 6 + 3], c[i * 6 + 4],
+      c[i * 6 + 2], c[i * 6 + 4], c[i * 6 + 5]);
+    covariance.premultiply(rotation.clone().transpose()).multiply(rotation);
+    covariance.premultiply(transform3).multiply(transform3T);
+
+    const e = covariance.elements;
+    covariances.set([e[0], e[3], e[6], e[4], e[7], e[8]], k * 6);
+  }
+
+  return { centers, covariances };
+}
+
+
+function blendMatrices(matrices, skinIndex, skinWeight, target) {
+  target.elements.fill(0);
+  for (let j = 0; j < 4; j++) {
+    const weight = skinWeight.getComponent(j);
+    if (weight === 0) continue;
+    const e = matrices[skinIndex.getComponent(j)].elements;
+    for (let n = 0; n < 16; n++) {
+      target.elements[n] += weight * e[n];
+    }
+  }
+  return target;
+}
+
+
+// Ports of quatFromMat3 / mat3FromQuat in the shader. GLSL matrices are column-major, so quatFromMat3
+// gives the conjugate of the rotation and mat3FromQuat the transposed matrix; kept as is for the same result.
+
+function quatFromMat3(matrix) {
+  const e = matrix.elements;
+  const m = (column, row) => e[column * 3 + row];
+  const trace = m(0, 0) + m(1, 1) + m(2, 2);
+  const q = new THREE.Quaternion();
+
+  if (trace > 0.0) {
+    const s = 0.5 / Math.sqrt(trace + 1.0);
+    q.set((m(2, 1) - m(1, 2)) * s, (m(0, 2) - m(2, 0)) * s, (m(1, 0) - m(0, 1)) * s, 0.25 / s);
+  } else if (m(0, 0) > m(1, 1) && m(0, 0) > m(2, 2)) {
+    const s = 2.0 * Math.sqrt(1.0 + m(0, 0) - m(1, 1) - m(2, 2));
+    q.set(0.25 * s, (m(0, 1) + m(1, 0)) / s, (m(0, 2) + m(2, 0)) / s, (m(2, 1) - m(1, 2)) / s);
+  } else if (m(1, 1) > m(2, 2)) {
+    const s = 2.0 * Math.sqrt(1.0 + m(1, 1) - m(0, 0) - m(2, 2));
+    q.set((m(0, 1) + m(1, 0)) / s, 0.25 * s, (m(1, 2) + m(2, 1)) / s, (m(0, 2) - m(2, 0)) / s);
+  } else {
+    const s = 2.0 * Math.sqrt(1.0 + m(2, 2) - m(0, 0) - m(1, 1));
+    q.set((m(0, 2) + m(2, 0)) / s, (m(1, 2) + m(2, 1)) / s, 0.25 * s, (m(1, 0) - m(0, 1)) / s);
+  }
+  return q;
+}
+
+
+function mat3FromQuat(q, target) {
+  const { x, y, z, w } = q;
+  const x2 = x + x, y2 = y + y, z2 = z + z;
+  const xx = x * x2, xy = x * y2, xz = x * z2;
+  const yy = y * y2, yz = y * z2, zz = z * z2;
+  const wx = w * x2, wy = w * y2, wz = w * z2;
+
+  // column-major, as the GLSL mat3 constructor
+  return target.fromArray([
+    1.0 - (yy + zz), xy - wz, xz + wy,
+    xy + wz, 1.0 - (xx + zz), yz - wx,
+    xz - wy, yz + wx, 1.0 - (xx + yy)
+  ]);
+}
+
+
+// dual quaternions, as in the GVRM_DQ_SKINNING shader
+
+function dualQuatFromMatrix(matrix) {
+  const real = new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().extractRotation(matrix));
+  const t = new THREE.Vector3().setFromMatrixPosition(matrix);
+  const dual = new THREE.Quaternion(t.x, t.y, t.z, 0).multiply(real);
+  return { real: real, dual: new THREE.Quaternion(dual.x * 0.5, dual.y * 0.5, dual.z * 0.5, dual.w * 0.5) };
+}
+
+
+function blendDualQuats(dualQuats, skinIndex, skinWeight) {
+  const real = new THREE.Quaternion(0, 0, 0, 0);
+  const dual = new THREE.Quaternion(0, 0, 0, 0);
+  const first = dualQuats[skinIndex.x].real;
+
+  for (let j = 0; j < 4; j++) {
+    const dq = dualQuats[skinIndex.getComponent(j)];
+    // q and -q are the same rotation, take the one closest to the first bone
+    const weight = skinWeight.getComponent(j) * Math.sign(first.dot(dq.real) + 1e-6);
+    real.set(real.x + weight * dq.real.x, real.y + weight * dq.real.y, real.z + weight * dq.real.z, real.w + weight * dq.real.w);
+    dual.set(dual.x + weight * dq.dual.x, dual.y + weight * dq.dual.y, dual.z + weight * dq.dual.z, dual.w + weight * dq.dual.w);
+  }
+  return { real, dual };
+}
+
+
+function matrixFromDualQuat({ real, dual }, target) {
+  const length = real.length();
+  const r = new THREE.Quaternion(real.x / length, real.y / length, real.z / length, real.w / length);
+  const d = new THREE.Quaternion(dual.x / length, dual.y / length, dual.z / length, dual.w / length);
+  const t = d.multiply(r.clone().conjugate());
+  return target.makeRotationFromQuaternion(r).setPosition(2 * t.x, 2 * t.y, 2 * t.z);
+}
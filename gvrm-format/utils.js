@@ -55,28 +55,23 @@ export function resetPose(character, boneOperations) {
 
 // visualization
 
+// character.skinnedMesh is kept rendered (only color and depth writes are toggled), so that the bone texture
+// of its skeleton is updated for the splat shader. The other meshes are hidden, expressions still set their
+// morph target influences.
 export function visualizeVRM(character, flag) {
-  const skinnedMesh = character.currentVrm.scene.children[character.skinnedMeshIndex];
-  const face = character.faceIndex ? character.currentVrm.scene.children[character.faceIndex] : null;
-
-  if (flag === null) {
-    skinnedMesh.material.forEach(material => {
-      // material.visible = !material.visible;
-      material.colorWrite = !material.colorWrite;
-      material.depthWrite = !material.depthWrite;
-    });
-    if (face) {
-      face.visible = !face.visible;
+  for (const mesh of character.skinnedMeshes) {
+    if (mesh !== character.skinnedMesh) {
+      mesh.visible = flag === null ? !mesh.visible : flag;
     }
-  } else {
-    skinnedMesh.material.forEach(material => {
+  }
+
+  // a merged mesh (see mergeSkinnedMeshes) never writes color
+  if (character.skinnedMeshes.includes(character.skinnedMesh)) {
+    new Set([].concat(character.skinnedMesh.material)).forEach(material => {
       // material.visible = flag;
-      material.colorWrite = flag;
-      material.depthWrite = flag;
+      material.colorWrite = flag === null ? !material.colorWrite : flag;
+      material.depthWrite = flag === null ? !material.depthWrite : flag;
     });
-    if (face) {
-      face.visible = flag;
-    }
   }
 }
 
@@ -146,6 +141,44 @@ export function createDataTexture(...args) {
 }
 
 
+// Data textures of the splat shader (see GVRM.gsCustomizeMaterial) hold one texel per item (splat or vertex),
+// in rows of up to DATA_TEXTURE_WIDTH texels. Item i is read with texelFetch at (i % width, i / width).
+export const DATA_TEXTURE_WIDTH = 4096;
+
+const DATA_TEXTURE_FORMATS = {
+  rgba32f: { format: THREE.RGBAFormat, type: THREE.FloatType, channels: 4, ArrayType: Float32Array },
+  rgba16f: { format: THREE.RGBAFormat, type: THREE.HalfFloatType, channels: 4, ArrayType: Uint16Array },
+  r32ui: { format: THREE.RedIntegerFormat, type: THREE.UnsignedIntType, channels: 1, ArrayType: Uint32Array, internalFormat: 'R32UI' },
+  rgba32ui: { format: THREE.RGBAIntegerFormat, type: THREE.UnsignedIntType, channels: 4, ArrayType: Uint32Array, internalFormat: 'RGBA32UI' },
+};
+
+
+/**
+ * Create a data texture with one texel per item, sized to the item count.
+ * Fill texture.image.data (count * channels values, half floats as THREE.DataUtils.toHalfFloat) before use.
+ * @param {number} count - Number of items
+ * @param {string} format - 'rgba32f', 'rgba16f', 'r32ui' or 'rgba32ui'
+ * @param {number} [maxTextureSize=16384] - renderer.capabilities.maxTextureSize
+ * @returns {THREE.DataTexture}
+ */
+export function createItemDataTexture(count, format, maxTextureSize = 16384) {
+  const { format: textureFormat, type, channels, ArrayType, internalFormat } = DATA_TEXTURE_FORMATS[format];
+
+  const width = Math.max(1, Math.min(count, DATA_TEXTURE_WIDTH, maxTextureSize));
+  const height = Math.max(1, Math.ceil(count / width));
+  if (height > maxTextureSize) {
+    throw new Error(`Data texture for ${count} items exceeds the max texture size (${width}x${maxTextureSize})`);
+  }
+
+  const texture = new THREE.DataTexture(new ArrayType(width * height * channels), width, height, textureFormat, type);
+  if (internalFormat) {
+    texture.internalFormat = internalFormat;
+  }
+  texture.needsUpdate = true;
+  return texture;
+}
+
+
 export function simpleAnim(character, t) {
   const s1 = Math.PI * 65 / 180 * Math.sin(Math.PI * (t / 60. + 0.5));
   const s2 = 0.4 * Math.PI * Math.sin(Math.PI * (t / 60.));
@@ -156,37 +189,475 @@ export function simpleAnim(character, t) {
 }
 
 
+// Capsules are made for these bones (humanoid bone names, 'headTop': see GVRM.initVRM),
+// from the nearest humanoid ancestor to the bone.
 export const BONE_CONFIG = {
   arm: {
-    names: ["J_Bip_L_Hand", "J_Bip_L_LowerArm", "J_Bip_R_Hand", "J_Bip_R_LowerArm"],
+    names: ["leftHand", "leftLowerArm", "rightHand", "rightLowerArm"],
     radius: 0.06,
     scale: { x: 1.0, z: 1.0 }
   },
   leg: {
-    names: ["J_Bip_L_LowerLeg", "J_Bip_L_Foot", "J_Bip_R_LowerLeg", "J_Bip_R_Foot"],
+    names: ["leftLowerLeg", "leftFoot", "rightLowerLeg", "rightFoot"],
     radius: 0.08,
     scale: { x: 1.0, z: 1.0 }
   },
   torso: {
-    names: ["J_Bip_C_Neck", "J_Bip_C_Spine", "J_Bip_C_Chest", "J_Bip_C_UpperChest"],
+    names: ["neck", "spine", "chest", "upperChest"],
     radius: 0.03,
     scale: { x: 6.0, z: 4.0 }
   },
   headTop: {
-    names: ["J_Bip_C_HeadTop_End"],
+    names: ["headTop"],
     radius: 0.06,
     scale: { x: 1.5, z: 2.0 }
   },
   head: {
-    names: ["J_Bip_C_Head"],
+    names: ["head"],
     radius: 0.03,
     scale: { x: 2.0, z: 2.0 }
   }
 };
 
+// Capsules of the spring bone chains (see getPointsMeshCapsules), from each joint to its child.
+export const SPRING_BONE_CONFIG = {
+  radius: 0.04,
+  scale: { x: 1.0, z: 1.0 }
+};
+
+
+// Splat scenes of these bones are not moved by GVRM.updateByBones (the splats are still skinned).
+export const NO_SORT_BONES = ["neck", "spine", "chest", "upperChest", "headTop", "head"];
+
+
+// skinned meshes
+
+// All skinned meshes of the VRM, the one with the most humanoid bones (the body) first.
+export function findSkinnedMeshes(vrm) {
+  const humanNodes = new Set(getHumanBoneNames(vrm).keys());
+  const meshes = [];
+  vrm.scene.traverse((obj) => {
+    if (obj.isSkinnedMesh && !meshes.some(mesh => mesh.geometry === obj.geometry)) {
+      meshes.push(obj);
+    }
+  });
+
+  const humanBoneCount = (mesh) => mesh.skeleton.bones.filter(bone => humanNodes.has(bone)).length;
+  return meshes.sort((a, b) =>
+    humanBoneCount(b) - humanBoneCount(a) ||
+    b.geometry.attributes.position.count - a.geometry.attributes.position.count);
+}
 
-export function getPointsMeshCapsules(character) {
-  const skinnedMesh = character.currentVrm.scene.children[character.skinnedMeshIndex];
+
+// Merge skinned meshes (e.g. face, body and hair) into one mesh to bind the splats to. It is rendered
+// without writing color or depth, only to keep its skeleton updated. The first mesh keeps its vertex
+// and bone indices, and the other meshes are moved into its bind space.
+export function mergeSkinnedMeshes(meshes) {
+  const primary = meshes[0];
+  const bones = [...primary.skeleton.bones];
+  const boneInverses = [...primary.skeleton.boneInverses];
+
+  const vertexCount = meshes.reduce((total, mesh) => total + mesh.geometry.attributes.position.count, 0);
+  const positions = new Float32Array(vertexCount * 3);
+  const skinIndices = new Uint16Array(vertexCount * 4);
+  const skinWeights = new Float32Array(vertexCount * 4);
+  const indices = [];
+
+  const toPrimary = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
+  const skinIndex = new THREE.Vector4();
+  const skinWeight = new THREE.Vector4();
+  let offset = 0;
+
+  for (const mesh of meshes) {
+    const { geometry, skeleton } = mesh;
+    const boneMap = skeleton.bones.map((bone, i) => {
+      let index = bones.indexOf(bone);
+      if (index === -1) {
+        index = bones.push(bone) - 1;
+        boneInverses.push(skeleton.boneInverses[i]);
+      }
+      return index;
+    });
+    toPrimary.copy(primary.bindMatrixInverse).multiply(mesh.bindMatrix);
+
+    const position = geometry.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+      const j = offset + i;
+      vertex.fromBufferAttribute(position, i).applyMatrix4(toPrimary).toArray(positions, j * 3);
+      skinIndex.fromBufferAttribute(geometry.getAttribute('skinIndex'), i);
+      skinWeight.fromBufferAttribute(geometry.getAttribute('skinWeight'), i);
+      for (let k = 0; k < 4; k++) {
+        skinIndices[j * 4 + k] = boneMap[skinIndex.getComponent(k)] ?? 0;
+        skinWeights[j * 4 + k] = skinWeight.getComponent(k);
+      }
+    }
+
+    const index = geometry.getIndex();
+    const count = index ? index.count : position.count;
+    for (let i = 0; i < count; i++) {
+      indices.push(offset + (index ? index.getX(i) : i));
+    }
+    offset += position.count;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('skinIndex', new THREE.BufferAttribute(skinIndices, 4));
+  geometry.setAttribute('skinWeight', new THREE.BufferAttribute(skinWeights, 4));
+  geometry.setIndex(indices);
+
+  const merged = new THREE.SkinnedMesh(geometry, new THREE.MeshBasicMaterial({ colorWrite: false, depthWrite: false }));
+  merged.name = 'GVRMSkinnedMesh';
+  merged.frustumCulled = false;
+  merged.position.copy(primary.position);
+  merged.quaternion.copy(primary.quaternion);
+  merged.scale.copy(primary.scale);
+  merged.bind(new THREE.Skeleton(bones, boneInverses), primary.bindMatrix);
+  return merged;
+}
+
+
+// Morph targets (VRM expressions) of the skinned meshes that move the given vertices.
+// Vertex indices and deltas are those of the merged mesh (see mergeSkinnedMeshes), in the bind space
+// of the first mesh. Targets that move none of the vertices are left out.
+// vertexSet: Set of vertex indices (e.g. the vertices splats are bound to), or null for all vertices
+// returns { targets: [{ mesh, index }], vertices: [vertex index], deltas: Float32Array(vertices x targets x 3) }
+export function getMorphTargetDeltas(meshes, vertexSet = null) {
+  const primary = meshes[0];
+  const toPrimary = new THREE.Matrix3();
+  const delta = new THREE.Vector3();
+  const base = new THREE.Vector3();
+
+  // deltas of each target, as [vertex index, x, y, z, ...]
+  const targets = [];
+  const targetDeltas = [];
+  const vertices = new Set();
+  let offset = 0;
+
+  for (const mesh of meshes) {
+    const { geometry } = mesh;
+    const morphPositions = geometry.morphAttributes.position ?? [];
+    const position = geometry.getAttribute('position');
+    toPrimary.setFromMatrix4(new THREE.Matrix4().copy(primary.bindMatrixInverse).multiply(mesh.bindMatrix));
+
+    morphPositions.forEach((morphPosition, index) => {
+      const deltas = [];
+      for (let i = 0; i < position.count; i++) {
+        const vertex = offset + i;
+        if (vertexSet && !vertexSet.has(vertex)) continue;
+        delta.fromBufferAttribute(morphPosition, i);
+        if (!geometry.morphTargetsRelative) {
+          delta.sub(base.fromBufferAttribute(position, i));
+        }
+        if (delta.x === 0 && delta.y === 0 && delta.z === 0) continue;
+        delta.applyMatrix3(toPrimary);
+        deltas.push(vertex, delta.x, delta.y, delta.z);
+        vertices.add(vertex);
+      }
+      if (deltas.length > 0) {
+        targets.push({ mesh, index });
+        targetDeltas.push(deltas);
+      }
+    });
+    offset += position.count;
+  }
+
+  const sortedVertices = [...vertices].sort((a, b) => a - b);
+  const slots = new Map(sortedVertices.map((vertex, slot) => [vertex, slot]));
+  const deltas = new Float32Array(sortedVertices.length * targets.length * 3);
+  targetDeltas.forEach((values, t) => {
+    for (let j = 0; j < values.length; j += 4) {
+      const k = (slots.get(values[j]) * targets.length + t) * 3;
+      deltas[k + 0] = values[j + 1];
+      deltas[k + 1] = values[j + 2];
+      deltas[k + 2] = values[j + 3];
+    }
+  });
+
+  return { targets, vertices: sortedVertices, deltas };
+}
+
+
+// humanoid bones
+
+// Map from each raw bone node to its humanoid bone name ('headTop' for character.headTopBone).
+// vrm: VRM, or a VRMCharacter
+export function getHumanBoneNames(vrm) {
+  const humanoid = (vrm.currentVrm ?? vrm).humanoid;
+  const names = new Map();
+  for (const name of Object.keys(humanoid.humanBones)) {
+    const node = humanoid.getRawBoneNode(name);
+    if (node) names.set(node, name);
+  }
+  if (vrm.headTopBone) {
+    names.set(vrm.headTopBone, 'headTop');
+  }
+  return names;
+}
+
+
+// The bone a capsule (and the splat scene of the bone) starts from: the nearest humanoid ancestor,
+// so that non-humanoid bones in between (e.g. twist bones) are skipped.
+export function getParentHumanBone(node, humanBoneNames) {
+  let parent = node.parent;
+  while (parent && parent.isBone && !humanBoneNames.has(parent)) {
+    parent = parent.parent;
+  }
+  return parent && parent.isBone ? parent : node.parent;
+}
+
+
+// triangle binding
+
+/**
+ * Bind each splat to the nearest triangle around its vertex (see GVRM.gsCustomizeMaterial).
+ * The splat is stored as barycentric coordinates of its projection on the triangle plane, plus an offset
+ * along the triangle normal, so that it is interpolated between the three skinned vertices.
+ * Splats whose vertex has no triangle keep the vertex binding (triangle: the vertex three times).
+ * @param {THREE.SkinnedMesh} skinnedMesh - character.skinnedMesh, in the pose the splats were bound in
+ * @param {ArrayLike<number>} splatVertexIndices
+ * @param {ArrayLike<number>} splatRelativePoses - Splat positions relative to their skinned vertices
+ * @returns {{splatTriangles: Uint32Array, splatBarycentrics: Float32Array, splatNormalOffsets: Float32Array}}
+ *   Vertex indices (3 per splat), weights of the 2nd and 3rd vertices (2 per splat) and normal offsets
+ */
+export function getSplatTriangles(skinnedMesh, splatVertexIndices, splatRelativePoses) {
+  const geometry = skinnedMesh.geometry;
+  const position = geometry.getAttribute('position');
+  const index = geometry.getIndex();
+  const triangleCount = (index ? index.count : position.count) / 3;
+  const getIndex = (i) => index ? index.getX(i) : i;
+
+  // triangles around each vertex
+  const vertexTriangleOffsets = new Uint32Array(position.count + 1);
+  for (let i = 0; i < triangleCount * 3; i++) {
+    vertexTriangleOffsets[getIndex(i) + 1]++;
+  }
+  for (let i = 0; i < position.count; i++) {
+    vertexTriangleOffsets[i + 1] += vertexTriangleOffsets[i];
+  }
+  const vertexTriangles = new Uint32Array(triangleCount * 3);
+  const filled = vertexTriangleOffsets.slice(0, position.count);
+  for (let i = 0; i < triangleCount * 3; i++) {
+    vertexTriangles[filled[getIndex(i)]++] = Math.floor(i / 3);
+  }
+
+  const skinnedPositions = new Float32Array(position.count * 3);
+  const vertex = new THREE.Vector3();
+  for (let i = 0; i < position.count; i++) {
+    vertex.fromBufferAttribute(position, i);
+    skinnedMesh.applyBoneTransform(i, vertex).toArray(skinnedPositions, i * 3);
+  }
+
+  const splatCount = splatVertexIndices.length;
+  const splatTriangles = new Uint32Array(splatCount * 3);
+  const splatBarycentrics = new Float32Array(splatCount * 2);
+  const splatNormalOffsets = new Float32Array(splatCount);
+
+  const triangle = new THREE.Triangle();
+  const center = new THREE.Vector3();
+  const closestPoint = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const projected = new THREE.Vector3();
+  const barycentric = new THREE.Vector3();
+  const edge = new THREE.Vector3();
+
+  const setTriangle = (t) => triangle.set(
+    triangle.a.fromArray(skinnedPositions, getIndex(t * 3 + 0) * 3),
+    triangle.b.fromArray(skinnedPositions, getIndex(t * 3 + 1) * 3),
+    triangle.c.fromArray(skinnedPositions, getIndex(t * 3 + 2) * 3));
+
+  for (let i = 0; i < splatCount; i++) {
+    const vertexIndex = splatVertexIndices[i];
+    center.fromArray(skinnedPositions, vertexIndex * 3);
+    center.x += splatRelativePoses[i * 3 + 0];
+    center.y += splatRelativePoses[i * 3 + 1];
+    center.z += splatRelativePoses[i * 3 + 2];
+
+    let bestTriangle = -1;
+    let minDistance = Infinity;
+    for (let j = vertexTriangleOffsets[vertexIndex]; j < vertexTriangleOffsets[vertexIndex + 1]; j++) {
+      setTriangle(vertexTriangles[j]);
+      if (triangle.getArea() < 1e-10) continue;
+      const distance = triangle.closestPointToPoint(center, closestPoint).distanceTo(center);
+      if (distance < minDistance) {
+        minDistance = distance;
+        bestTriangle = vertexTriangles[j];
+      }
+    }
+
+    if (bestTriangle === -1) {
+      splatTriangles.fill(vertexIndex, i * 3, i * 3 + 3);
+      continue;
+    }
+
+    setTriangle(bestTriangle);
+    // the same normal as the shader: cross(b - a, c - a)
+    normal.subVectors(triangle.b, triangle.a).cross(edge.subVectors(triangle.c, triangle.a)).normalize();
+    const normalOffset = edge.subVectors(center, triangle.a).dot(normal);
+    projected.copy(center).addScaledVector(normal, -normalOffset);
+    triangle.getBarycoord(projected, barycentric);
+
+    for (let k = 0; k < 3; k++) {
+      splatTriangles[i * 3 + k] = getIndex(bestTriangle * 3 + k);
+    }
+    splatBarycentrics[i * 2 + 0] = barycentric.y;
+    splatBarycentrics[i * 2 + 1] = barycentric.z;
+    splatNormalOffsets[i] = normalOffset;
+  }
+
+  return { splatTriangles, splatBarycentrics, splatNormalOffsets };
+}
+
+
+// tangent frame
+
+/**
+ * A unit tangent of each vertex, perpendicular to its normal, for the tangent frame of the splat offsets
+ * (see GVRM.gsCustomizeMaterial). Uses the tangent attribute if the geometry has one, otherwise
+ * the first edge of a triangle around the vertex.
+ * @param {THREE.BufferGeometry} geometry - With vertex normals
+ * @returns {Float32Array} Tangents (3 per vertex)
+ */
+export function getVertexTangents(geometry) {
+  const position = geometry.getAttribute('position');
+  const normal = geometry.getAttribute('normal');
+  const tangentAttribute = geometry.getAttribute('tangent');
+  const index = geometry.getIndex();
+  const getIndex = (i) => index ? index.getX(i) : i;
+
+  const tangents = new Float32Array(position.count * 3);
+  const hasTangent = new Uint8Array(position.count);
+  const n = new THREE.Vector3();
+  const t = new THREE.Vector3();
+  const direction = new THREE.Vector3();
+  const origin = new THREE.Vector3();
+
+  // the direction without its normal component, if it is not (almost) parallel to the normal
+  function setTangent(i, direction) {
+    n.fromBufferAttribute(normal, i);
+    t.copy(direction).addScaledVector(n, -direction.dot(n));
+    if (t.lengthSq() < 1e-12) return;
+    t.normalize().toArray(tangents, i * 3);
+    hasTangent[i] = 1;
+  }
+
+  if (tangentAttribute) {
+    for (let i = 0; i < position.count; i++) {
+      setTangent(i, direction.fromBufferAttribute(tangentAttribute, i));
+    }
+  }
+
+  const cornerCount = index ? index.count : position.count;
+  for (let i = 0; i < cornerCount; i++) {
+    const vertexIndex = getIndex(i);
+    if (hasTangent[vertexIndex]) continue;
+    const nextIndex = getIndex(i - i % 3 + (i + 1) % 3);
+    origin.fromBufferAttribute(position, vertexIndex);
+    setTangent(vertexIndex, direction.fromBufferAttribute(position, nextIndex).sub(origin));
+  }
+
+  // vertices without triangles: any direction perpendicular to the normal
+  for (let i = 0; i < position.count; i++) {
+    if (hasTangent[i]) continue;
+    setTangent(i, direction.set(1, 0, 0));
+    if (!hasTangent[i]) setTangent(i, direction.set(0, 1, 0));
+  }
+
+  return tangents;
+}
+
+
+// level of detail
+
+// Fraction of the splats rendered at each level of detail (level 0: all). Stored as data.json lodFractions.
+export const LOD_FRACTIONS = [1, 0.5, 0.25, 0.1];
+
+// Screen-space size of the avatar (bounding sphere radius / half of the view height) from which
+// all splats are rendered. Smaller avatars render a fraction of about the square of their relative size.
+export const LOD_FULL_SCREEN_SIZE = 0.5;
+
+
+/**
+ * Nested splat subsets for the levels of detail (see GVRM.updateLod), by importance (opacity x scale):
+ * level k keeps the most important fractions[k] of the splats.
+ * @param {Object} gs - GaussianSplatting with colors0 and covariances0
+ * @param {number[]} [fractions=LOD_FRACTIONS] - Decreasing, starting at 1
+ * @returns {Uint8Array} The coarsest level each splat is rendered at
+ */
+export function getSplatLods(gs, fractions = LOD_FRACTIONS) {
+  const splatCount = gs.splatCount;
+  const importance = new Float32Array(splatCount);
+  for (let i = 0; i < splatCount; i++) {
+    const c = gs.covariances0;
+    const scale = Math.sqrt(Math.max(c[i * 6 + 0] + c[i * 6 + 3] + c[i * 6 + 5], 0) / 3);
+    importance[i] = gs.colors0[i * 4 + 3] / 255 * scale;
+  }
+
+  const order = Array.from(importance.keys()).sort((a, b) => importance[b] - importance[a]);
+  const splatLods = new Uint8Array(splatCount);
+  order.forEach((splatIndex, rank) => {
+    let level = 0;
+    while (level + 1 < fractions.length && rank < fractions[level + 1] * splatCount) {
+      level++;
+    }
+    splatLods[splatIndex] = level;
+  });
+  return splatLods;
+}
+
+
+// splat cleanup
+
+// Splats farther than this (in meters) from their bone are hidden.
+// Keyed by the humanoid name of the bone the splats are assigned to ('headTop': the end bone above the head).
+// null keeps all splats of the bone. Per-avatar overrides are stored as data.json cleanupRules.
+export const DEFAULT_CLEANUP_RULES = {
+  default: 0.2,
+  headTop: 0.3,
+  leftFoot: 0.1,
+  rightFoot: 0.1,
+};
+
+
+// Name of each bone in the skeleton: the humanoid bone name (see getHumanBoneNames), or the node name
+// for other bones. Stored as data.json boneNames, so that splats do not depend on the joint order.
+export function getBoneNames(character, skeleton) {
+  const humanBoneNames = getHumanBoneNames(character);
+  return skeleton.bones.map(bone => humanBoneNames.get(bone) ?? bone.name);
+}
+
+
+// Hide the splats that are too far from the associated bone. Alpha is restored from gs.colors0 first,
+// so this can be called again with other rules.
+export function cleanupSplats(gs, boneNames, rules = {}) {
+  rules = { ...DEFAULT_CLEANUP_RULES, ...rules };
+
+  for (let i = 0; i < gs.splatCount; i++) {
+    const name = boneNames[gs.splatBoneIndices[i]];
+    const maxDistance = Object.hasOwn(rules, name) ? rules[name] : rules.default;
+    const distance = Math.sqrt(
+      gs.splatRelativePoses[i * 3 + 0] ** 2 +
+      gs.splatRelativePoses[i * 3 + 1] ** 2 +
+      gs.splatRelativePoses[i * 3 + 2] ** 2
+    );
+    if (maxDistance !== null && distance > maxDistance) {
+      gs.colors[i * 4 + 3] = 0;
+    } else {
+      gs.colors[i * 4 + 3] = gs.colors0[i * 4 + 3];
+    }
+  }
+
+  gs.splatMesh.updateDataTexturesFromBaseData(0, gs.splatCount - 1);
+}
+
+
+// options.springBones: also make capsules for the spring bone chains, so that the splats around them
+// (long hair, skirts) follow the secondary motion. capsuleSceneBoneIndex: the bone of the splat scene of
+// each capsule, a body capsule bone for the spring capsules (splat scenes are limited, see GVRM.save).
+// skippedBoneNames: configured bones that are not in the skeleton of the skinned mesh (no capsule)
+export function getPointsMeshCapsules(character, { springBones = false } = {}) {
+  const skinnedMesh = character.skinnedMesh;
 
   const pointsMaterial = new THREE.PointsMaterial({
     color: 0xff0000,
@@ -240,49 +711,62 @@ export function getPointsMeshCapsules(character) {
   // capsules
   const capsules = new THREE.Group();
   const capsuleBoneIndex = [];
+  const skippedBoneNames = [];
+  const humanBoneNames = getHumanBoneNames(character);
   let nodeCount = 0;
 
+  function _addCapsule(name, startNode, endNode, boneConfig, nodeIndex) {
+    const nodePosition = new THREE.Vector3().setFromMatrixPosition(startNode.matrixWorld);
+    const childNodePosition = new THREE.Vector3().setFromMatrixPosition(endNode.matrixWorld);
+
+    const distance = nodePosition.distanceTo(childNodePosition);
+    const midPoint = new THREE.Vector3().addVectors(nodePosition, childNodePosition).multiplyScalar(0.5);
+
+    const [r, g, b] = colors[capsules.children.length % colors.length];
+    const hexColor = (r << 16) | (g << 8) | b;
+
+    const capsuleGeometry = new THREE.CapsuleGeometry(
+      boneConfig.radius, Math.max(distance - boneConfig.radius * 2, 0), 1, 6);
+    const capsule = new THREE.Mesh(capsuleGeometry, capsuleMaterial.clone());
+    capsule.name = name;
+    capsule.material.color.setHex(hexColor);
+    capsule.scale.set(boneConfig.scale.x, 1, boneConfig.scale.z);
+    capsule.position.copy(midPoint);
+
+    const direction = new THREE.Vector3().subVectors(childNodePosition, nodePosition).normalize();
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+    capsule.setRotationFromQuaternion(quaternion);
+    capsule.updateMatrixWorld();
+
+    capsules.add(capsule);
+    capsuleBoneIndex.push(nodeIndex);
+    return capsule;
+  }
+
   function _traverseNodes(node, depth = 0) {
     nodeCount++;
     // console.log(String(nodeCount).padStart(2, ' '), "  ".repeat(depth)+"- " , node.name);
-    const nodePosition = new THREE.Vector3().setFromMatrixPosition(node.matrixWorld);
 
     node.children.forEach(function (childNode) {
-      // make a capsule from parent to child
+      // make a capsule from the parent (humanoid) bone to child
       if (childNode.isBone) {
-        const childNodePosition = new THREE.Vector3().setFromMatrixPosition(childNode.matrixWorld);
-
-        const distance = nodePosition.distanceTo(childNodePosition);
-        const midPoint = new THREE.Vector3().addVectors(nodePosition, childNodePosition).multiplyScalar(0.5);
+        const boneName = humanBoneNames.get(childNode);
 
         // Find matching bone config
         let boneConfig = null;
         for (const configType of Object.values(BONE_CONFIG)) {
-          if (configType.names.includes(childNode.name)) {
+          if (configType.names.includes(boneName)) {
             boneConfig = configType;
             break;
           }
         }
 
-        if (boneConfig) {
-          const [r, g, b] = colors[capsules.children.length];
-          const hexColor = (r << 16) | (g << 8) | b;
-
-          const capsuleGeometry = new THREE.CapsuleGeometry(
-            boneConfig.radius, distance - boneConfig.radius * 2, 1, 6);
-          const capsule = new THREE.Mesh(capsuleGeometry, capsuleMaterial.clone());
-          capsule.material.color.setHex(hexColor);
-          capsule.scale.set(boneConfig.scale.x, 1, boneConfig.scale.z);
-          capsule.position.copy(midPoint);
-
-          const direction = new THREE.Vector3().subVectors(childNodePosition, nodePosition).normalize();
-          const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
-          capsule.setRotationFromQuaternion(quaternion);
-          capsule.updateMatrixWorld();
-
-          const nodeIndex = skinnedMesh.skeleton.bones.indexOf(childNode);
-          capsules.add(capsule);
-          capsuleBoneIndex.push(nodeIndex);
+        const nodeIndex = skinnedMesh.skeleton.bones.indexOf(childNode);
+        if (boneConfig && nodeIndex === -1) {
+          skippedBoneNames.push(boneName);
+        } else if (boneConfig) {
+          const parentNode = getParentHumanBone(childNode, humanBoneNames);
+          _addCapsule(boneName, parentNode, childNode, boneConfig, nodeIndex);
         }
 
         _traverseNodes(childNode, depth + 1);
@@ -290,11 +774,59 @@ export function getPointsMeshCapsules(character) {
     });
   }
 
-  const rootNode = character.currentVrm.scene.children[0].children[0];
+  const rootNode = character.currentVrm.humanoid.getRawBoneNode('hips');
   _traverseNodes(rootNode, 1);
 
+  const capsuleSceneBoneIndex = [...capsuleBoneIndex];
+
+  // spring bone chains (hair, skirt, ...): a capsule from each joint to its child, for the joints
+  // that are the main bone of some vertices (see getSpringVertexCapsules)
+  if (springBones) {
+    const bones = skinnedMesh.skeleton.bones;
+    const bodyBones = new Set(capsuleBoneIndex);
+    const mainBones = new Set(getMainBoneIndices(skinnedMesh));
+    for (const joint of character.currentVrm.springBoneManager?.joints ?? []) {
+      const nodeIndex = bones.indexOf(joint.bone);
+      if (!joint.child || !mainBones.has(nodeIndex) || capsuleBoneIndex.includes(nodeIndex)) continue;
+      const capsule = _addCapsule(joint.bone.name, joint.bone, joint.child, SPRING_BONE_CONFIG, nodeIndex);
+      capsule.userData.springBone = true;
+
+      // the splats go to the scene of the closest body capsule bone above the chain (the head for hair)
+      let node = getParentHumanBone(joint.bone, humanBoneNames);
+      while (node && !bodyBones.has(bones.indexOf(node))) node = node.parent;
+      capsuleSceneBoneIndex.push(node ? bones.indexOf(node) : capsuleBoneIndex[0]);
+    }
+  }
+
   const pmc = { points, mesh, capsules };
-  return { pmc, capsuleBoneIndex };
+  return { pmc, capsuleBoneIndex, capsuleSceneBoneIndex, skippedBoneNames };
+}
+
+
+// Index of the bone with the largest skin weight, for each vertex
+function getMainBoneIndices(skinnedMesh) {
+  const skinIndex = skinnedMesh.geometry.getAttribute('skinIndex');
+  const skinWeight = skinnedMesh.geometry.getAttribute('skinWeight');
+  const mainBones = new Int32Array(skinIndex.count);
+  for (let i = 0; i < skinIndex.count; i++) {
+    let best = 0;
+    for (let k = 1; k < 4; k++) {
+      if (skinWeight.getComponent(i, k) > skinWeight.getComponent(i, best)) best = k;
+    }
+    mainBones[i] = skinIndex.getComponent(i, best);
+  }
+  return mainBones;
+}
+
+
+// Spring bone capsule of each vertex (-1 for none). Vertices moved mostly by a spring joint go to its
+// capsule, whatever the distance, so that the splats of the chain are bound to vertices that sway with it.
+export function getSpringVertexCapsules(skinnedMesh, capsules, capsuleBoneIndex) {
+  const springCapsules = new Map();
+  capsules.children.forEach((capsule, ci) => {
+    if (capsule.userData.springBone) springCapsules.set(capsuleBoneIndex[ci], ci);
+  });
+  return getMainBoneIndices(skinnedMesh).map(bone => springCapsules.get(bone) ?? -1);
 }
 
 
@@ -4,8 +4,11 @@
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm';
+import { VRMLoaderPlugin, VRMUtils, VRMHumanBoneList, VRMHumanBoneParentMap } from '@pixiv/three-vrm';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { BVHLoader } from 'three/addons/loaders/BVHLoader.js';
+import { resolveRigMap, stripBonePrefix } from './rigmaps.js';
+import { AnimationStateMachine } from './animator.js';
 
 
 export class VRMCharacter {
@@ -17,6 +20,9 @@ export class VRMCharacter {
         this.currentAction = undefined;
         this.previousAction = null;
         this.transitionDuration = 0.5;
+        this.stateMachine = null;
+        this.rootMotion = new THREE.Vector3(); // displacement of root motion clips in the last update
+        this.applyRootMotion = false; // move the VRM scene by rootMotion
         this.scene = scene;
         this.scale = scale;
         this.center = center;
@@ -122,7 +128,25 @@ export class VRMCharacter {
         });
     }
 
-    async loadFBX(animationUrl = null) {
+    // options.rigMap: bone names of the animation rig (see rigmaps.js)
+    async loadFBX(animationUrl = null, options = {}) {
+        await this.loadAnimation(animationUrl, loadMixamoAnimation, options);
+    }
+
+    async loadGLTF(animationUrl = null, options = {}) {
+        await this.loadAnimation(animationUrl, loadGLTFAnimation, options);
+    }
+
+    async loadVRMA(animationUrl = null, options = {}) {
+        await this.loadAnimation(animationUrl, loadVRMAnimation, options);
+    }
+
+    async loadBVH(animationUrl = null, options = {}) {
+        await this.loadAnimation(animationUrl, loadBVHAnimation, options);
+    }
+
+    // load a clip with loadClip(url, vrm, scale, options) and crossfade to it
+    async loadAnimation(animationUrl, loadClip, options = {}) {
         this._isLoading = true;
         if (animationUrl) this.animationUrl = animationUrl;
 
@@ -130,14 +154,21 @@ export class VRMCharacter {
             this.currentMixer = new THREE.AnimationMixer(this.currentVrm.scene);
         }
 
-        const clip = await loadMixamoAnimation(this.animationUrl, this.currentVrm, this.scale);
+        const clip = await loadCachedClip(loadClip, this.animationUrl, this.currentVrm, this.scale, options);
 
         this.previousAction = this.action;
 
         this.action = this.currentMixer.clipAction(clip);
         this.currentAction = this.action; // keywalker互換性のため
 
-        if (this.previousAction) {
+        if (this.previousAction === this.action) {
+            // the same cached clip: restart it
+            this.action
+                .reset()
+                .setEffectiveTimeScale(1)
+                .setEffectiveWeight(1)
+                .play();
+        } else if (this.previousAction) {
             this.previousAction.fadeOut(this.transitionDuration);
 
             this.action
@@ -154,6 +185,42 @@ export class VRMCharacter {
         this._isLoading = false;
     }
 
+    /**
+     * Create an AnimationStateMachine (see animator.js) and start it from the current action.
+     * Clips of states are loaded from state.url (FBX, GLB, VRMA or BVH, with state.options) unless state.clip is given.
+     * Actions played by loadFBX etc. are faded out at the next transition of the machine.
+     * @param {Object} config - { states, transitions, parameters, initial }
+     * @returns {Promise<AnimationStateMachine>}
+     */
+    async createStateMachine(config) {
+        await this.loadingPromise;
+        if (!this.currentMixer) {
+            this.currentMixer = new THREE.AnimationMixer(this.currentVrm.scene);
+        }
+
+        const states = {};
+        for (const [name, state] of Object.entries(config.states)) {
+            const clip = state.clip ??
+                await loadCachedClip(loadAnimationClip, state.url, this.currentVrm, this.scale, state.options);
+            states[name] = { ...state, clip };
+        }
+
+        const stateMachine = new AnimationStateMachine(this.currentMixer, { ...config, states });
+        stateMachine.addEventListener('transition', (event) => {
+            if (this.action && this.action !== event.previousAction && this.action !== event.action) {
+                this.action.fadeOut(event.duration);
+            }
+            this.previousAction = this.action;
+            this.action = event.action;
+            this.currentAction = this.action;
+        });
+
+        this.stateMachine?.dispose();
+        this.stateMachine = stateMachine;
+        stateMachine.start(this.action, this.transitionDuration);
+        return stateMachine;
+    }
+
     async place() {
         await this.loadingPromise;
         this.scene.add(this.currentVrm.scene);
@@ -192,8 +259,20 @@ export class VRMCharacter {
         }
     }
 
-    async changeFBX(url) {
-        await this.loadFBX(url);
+    async changeFBX(url, options = {}) {
+        await this.loadFBX(url, options);
+    }
+
+    async changeGLTF(url, options = {}) {
+        await this.loadGLTF(url, options);
+    }
+
+    async changeVRMA(url, options = {}) {
+        await this.loadVRMA(url, options);
+    }
+
+    async changeBVH(url, options = {}) {
+        await this.loadBVH(url, options);
     }
 
     // can be overridden
@@ -207,163 +286,575 @@ export class VRMCharacter {
         }
 
         const deltaTime = this.clock.getDelta();
+        if (this.stateMachine) {
+            this.stateMachine.update(deltaTime);
+        }
         if (this.currentVrm) {
             this.currentVrm.update(deltaTime);
         }
         if (this.currentMixer) {
+            const actions = [...new Set([this.action, this.previousAction])].filter((action) => action?.getClip().rootMotion);
+            const previousTimes = actions.map((action) => action.time);
             this.currentMixer.update(deltaTime);
+            this.updateRootMotion(actions, previousTimes);
+        }
+    }
+
+    // rootMotion: the weighted displacement of the actions since previousTimes, in the parent space of the VRM scene
+    updateRootMotion(actions, previousTimes) {
+        this.rootMotion.set(0, 0, 0);
+        actions.forEach((action, i) => {
+            const rootMotion = action.getClip().rootMotion;
+            const delta = sampleRootMotion(rootMotion, action.time, new THREE.Vector3())
+                .sub(sampleRootMotion(rootMotion, previousTimes[i], new THREE.Vector3()));
+            // looped forward
+            if (action.time < previousTimes[i] && action.timeScale >= 0) {
+                delta.add(sampleRootMotion(rootMotion, action.getClip().duration, new THREE.Vector3()));
+            }
+            this.rootMotion.addScaledVector(delta, action.getEffectiveWeight());
+        });
+
+        const scene = this.currentVrm.scene;
+        this.rootMotion.multiply(scene.scale).applyQuaternion(scene.quaternion);
+        if (this.applyRootMotion) {
+            scene.position.add(this.rootMotion);
         }
     }
 }
 
 
+// retargeted clips, shared by the characters with the same rig
+const clipCache = new Map();
+
+// VRM meta version, hips height and the names of the normalized bones (the track names)
+function getRigKey(vrm, scale) {
+    const hipsHeight = Math.abs(vrm.hipPos0?.y ?? 0) * scale;
+    const nodeNames = VRMHumanBoneList.map((boneName) => vrm.humanoid?.getNormalizedBoneNode(boneName)?.name ?? '');
+    return [vrm.meta?.metaVersion, hipsHeight.toFixed(4), ...nodeNames].join(',');
+}
+
+// ids of the maps given as options.rigMap (registered maps are keyed by name)
+const rigMapIds = new WeakMap();
+let rigMapCount = 0;
+
+// the options that change the retargeted clip, in a fixed order
+function getOptionsKey({ rigMap = '', rootMotion = false } = {}) {
+    if (rigMap && typeof rigMap === 'object') {
+        if (!rigMapIds.has(rigMap)) rigMapIds.set(rigMap, `#${rigMapCount++}`);
+        rigMap = rigMapIds.get(rigMap);
+    }
+    return [rigMap, rootMotion ? 'rootMotion' : ''].join(',');
+}
+
+// loadClip(url, vrm, scale, options) once per url, options and rig
+function loadCachedClip(loadClip, url, vrm, scale, options = {}) {
+    const key = [loadClip.name, url, getOptionsKey(options), getRigKey(vrm, scale)].join('|');
+    if (!clipCache.has(key)) {
+        const promise = loadClip(url, vrm, scale, options);
+        promise.catch(() => clipCache.delete(key));
+        clipCache.set(key, promise);
+    }
+    return clipCache.get(key);
+}
+
+// e.g. after revoking dropped blob urls
+export function clearAnimationClipCache() {
+    clipCache.clear();
+}
+
+
 /**
  * Load Mixamo animation, convert for three-vrm use, and return it.
+ * Other FBX rigs (Unreal Mannequin, Rokoko, CMU, ...) are retargeted with options.rigMap.
  *
  * @param {string} url A url of mixamo animation data
  * @param {VRM} vrm A target VRM
+ * @param {Object} [options]
+ * @param {string|Object} [options.rigMap='mixamo'] A registered rig map, a bone-name map, or 'auto' (see rigmaps.js)
+ * @param {boolean} [options.rootMotion=false] Move the horizontal hips motion to clip.rootMotion (see extractRootMotion)
  * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
  */
-export function loadMixamoAnimation(url, vrm, scale) {
+export function loadMixamoAnimation(url, vrm, scale, { rigMap = 'mixamo', rootMotion = false } = {}) {
 
     const loader = new FBXLoader(); // A loader which loads FBX
     return loader.loadAsync(url).then((asset) => {
 
-        const clip = THREE.AnimationClip.findByName(asset.animations, 'mixamo.com'); // extract the AnimationClip
+        // extract the AnimationClip (named 'mixamo.com' by Mixamo)
+        const clip = THREE.AnimationClip.findByName(asset.animations, 'mixamo.com') ?? asset.animations[0];
+        if (!clip) {
+            throw new Error(`No animation in ${url}`);
+        }
+
+        return retargetAnimation(clip, asset, vrm, scale, rigMap, rootMotion);
+
+    });
+
+}
+
+
+/**
+ * Load a humanoid animation from glTF / GLB (for VRM Animation, see loadVRMAnimation), convert for three-vrm use,
+ * and return it. The rig is found with options.rigMap, as loadMixamoAnimation.
+ *
+ * @param {string} url A url of glTF animation data
+ * @param {VRM} vrm A target VRM
+ * @param {Object} [options]
+ * @param {string|Object} [options.rigMap='auto'] A registered rig map, a bone-name map, or 'auto' (see rigmaps.js)
+ * @param {boolean} [options.rootMotion=false] Move the horizontal hips motion to clip.rootMotion (see extractRootMotion)
+ * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
+ */
+export async function loadGLTFAnimation(url, vrm, scale, { rigMap = 'auto', rootMotion = false } = {}) {
+
+    const gltf = await new GLTFLoader().loadAsync(url);
+    if (!gltf.animations[0]) {
+        throw new Error(`No animation in ${url}`);
+    }
+    gltf.scene.updateWorldMatrix(false, true);
+
+    return retargetAnimation(gltf.animations[0], gltf.scene, vrm, scale, rigMap, rootMotion);
+
+}
+
 
-        const tracks = []; // KeyframeTracks compatible with VRM will be added here
+// Retarget a clip of an animation rig (asset: its nodes in the rest pose) to the normalized bones.
+function retargetAnimation(clip, asset, vrm, scale, rigMap, rootMotion) {
+
+    // the first node of each humanoid bone, by node name (as in the track names)
+    const rigNodes = [];
+    asset.traverse((node) => rigNodes.push(node));
+    const boneMap = resolveRigMap(rigMap, rigNodes.map((node) => node.name));
+    const nodeBoneNames = {};
+    const boneNodes = {};
+    for (const node of rigNodes) {
+        const boneName = boneMap[stripBonePrefix(node.name)];
+        if (boneName && !boneNodes[boneName]) {
+            boneNodes[boneName] = node;
+            nodeBoneNames[node.name] = boneName;
+        }
+    }
+    const hipsNode = boneNodes.hips;
+    if (!hipsNode) {
+        throw new Error('No hips bone in the animation rig, see options.rigMap');
+    }
 
-        const restRotationInverse = new THREE.Quaternion();
-        const parentRestWorldRotation = new THREE.Quaternion();
-        const _quatA = new THREE.Quaternion();
-        const _vec3 = new THREE.Vector3();
+    const tracks = []; // KeyframeTracks compatible with VRM will be added here
 
-        // Adjust with reference to hips height.
-        const motionHipsHeight = asset.getObjectByName('mixamorigHips').position.y;
-        const vrmHipsHeight = Math.abs(vrm.hipPos0.y) * scale;
-        const hipsPositionScale = vrmHipsHeight / motionHipsHeight;
+    const restRotationInverse = new THREE.Quaternion();
+    const parentRestWorldRotation = new THREE.Quaternion();
+    const _quatA = new THREE.Quaternion();
+    const _vec3 = new THREE.Vector3();
 
-        clip.tracks.forEach((track) => {
+    // Adjust with reference to hips height, in the world space of the rig (the parent of hips may be
+    // rotated, e.g. the Z-up root of the Unreal Mannequin).
+    hipsNode.updateWorldMatrix(true, false);
+    const hipsParentWorldMatrix = hipsNode.parent ? hipsNode.parent.matrixWorld : new THREE.Matrix4();
+    const motionHipsHeight = new THREE.Vector3().setFromMatrixPosition(hipsNode.matrixWorld).y;
+    const vrmHipsHeight = Math.abs(vrm.hipPos0.y) * scale;
+    const hipsPositionScale = vrmHipsHeight / motionHipsHeight;
 
-            // Convert each tracks for VRM use, and push to `tracks`
-            const trackSplitted = track.name.split('.');
-            const mixamoRigName = trackSplitted[0];
-            const vrmBoneName = mixamoVRMRigMap[mixamoRigName];
-            const vrmNodeName = vrm.humanoid?.getNormalizedBoneNode(vrmBoneName)?.name;
-            const mixamoRigNode = asset.getObjectByName(mixamoRigName);
+    clip.tracks.forEach((track) => {
 
-            if (vrmNodeName != null) {
+        // Convert each tracks for VRM use, and push to `tracks`
+        const trackSplitted = track.name.split('.');
+        const mixamoRigName = trackSplitted[0];
+        const vrmBoneName = nodeBoneNames[mixamoRigName];
+        const vrmNodeName = vrm.humanoid?.getNormalizedBoneNode(vrmBoneName)?.name;
+        const mixamoRigNode = asset.getObjectByName(mixamoRigName);
 
-                const propertyName = trackSplitted[1];
+        if (vrmNodeName != null) {
 
-                // Store rotations of rest-pose.
-                mixamoRigNode.getWorldQuaternion(restRotationInverse).invert();
-                mixamoRigNode.parent.getWorldQuaternion(parentRestWorldRotation);
+            const propertyName = trackSplitted[1];
 
-                if (track instanceof THREE.QuaternionKeyframeTrack) {
+            // Store rotations of rest-pose.
+            mixamoRigNode.getWorldQuaternion(restRotationInverse).invert();
+            mixamoRigNode.parent.getWorldQuaternion(parentRestWorldRotation);
 
-                    // Retarget rotation of mixamoRig to NormalizedBone.
-                    for (let i = 0; i < track.values.length; i += 4) {
+            if (track instanceof THREE.QuaternionKeyframeTrack) {
 
-                        const flatQuaternion = track.values.slice(i, i + 4);
+                // Retarget rotation of mixamoRig to NormalizedBone.
+                for (let i = 0; i < track.values.length; i += 4) {
 
-                        _quatA.fromArray(flatQuaternion);
+                    const flatQuaternion = track.values.slice(i, i + 4);
 
-                        // 親のレスト時ワールド回転 * トラックの回転 * レスト時ワールド回転の逆
-                        _quatA
-                            .premultiply(parentRestWorldRotation)
-                            .multiply(restRotationInverse);
+                    _quatA.fromArray(flatQuaternion);
 
-                        _quatA.toArray(flatQuaternion);
+                    // 親のレスト時ワールド回転 * トラックの回転 * レスト時ワールド回転の逆
+                    _quatA
+                        .premultiply(parentRestWorldRotation)
+                        .multiply(restRotationInverse);
 
-                        flatQuaternion.forEach((v, index) => {
+                    _quatA.toArray(flatQuaternion);
 
-                            track.values[index + i] = v;
+                    flatQuaternion.forEach((v, index) => {
 
-                        });
+                        track.values[index + i] = v;
 
-                    }
+                    });
 
-                    tracks.push(
-                        new THREE.QuaternionKeyframeTrack(
-                            `${vrmNodeName}.${propertyName}`,
-                            track.times,
-                            track.values.map((v, i) => (vrm.meta?.metaVersion === '0' && i % 2 === 0 ? - v : v)),
-                        ),
-                    );
+                }
 
-                } else if (track instanceof THREE.VectorKeyframeTrack) {
+                tracks.push(
+                    new THREE.QuaternionKeyframeTrack(
+                        `${vrmNodeName}.${propertyName}`,
+                        track.times,
+                        track.values.map((v, i) => (vrm.meta?.metaVersion === '0' && i % 2 === 0 ? - v : v)),
+                    ),
+                );
 
-                    const value = track.values.map((v, i) => (vrm.meta?.metaVersion === '0' && i % 3 !== 1 ? - v : v) * hipsPositionScale);
-                    tracks.push(new THREE.VectorKeyframeTrack(`${vrmNodeName}.${propertyName}`, track.times, value));
+            } else if (track instanceof THREE.VectorKeyframeTrack && vrmBoneName === 'hips' && propertyName === 'position') {
 
+                // only hips moves, the positions of the other bones are the proportions of the animation rig
+                const worldValues = new Float32Array(track.values.length);
+                for (let i = 0; i < track.values.length; i += 3) {
+                    _vec3.fromArray(track.values, i).applyMatrix4(hipsParentWorldMatrix).toArray(worldValues, i);
                 }
+                const value = worldValues.map((v, i) => (vrm.meta?.metaVersion === '0' && i % 3 !== 1 ? - v : v) * hipsPositionScale);
+                tracks.push(new THREE.VectorKeyframeTrack(`${vrmNodeName}.${propertyName}`, track.times, value));
 
             }
 
-        });
+        }
+
+    });
 
-        return new THREE.AnimationClip('vrmAnimation', clip.duration, tracks);
+    const vrmClip = new THREE.AnimationClip('vrmAnimation', clip.duration, tracks);
+    return rootMotion ? extractRootMotion(vrmClip, vrm) : vrmClip;
+
+}
+
+
+/**
+ * Load VRM Animation (.vrma, VRMC_vrm_animation), retarget its humanoid tracks to the normalized bones, and return it.
+ * The same retargeting as @pixiv/three-vrm-animation. Expressions and lookAt are not supported.
+ *
+ * @param {string} url A url of VRM Animation data
+ * @param {VRM} vrm A target VRM
+ * @param {Object} [options]
+ * @param {boolean} [options.rootMotion=false] Move the horizontal hips motion to clip.rootMotion (see extractRootMotion)
+ * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
+ */
+export async function loadVRMAnimation(url, vrm, scale, { rootMotion = false } = {}) {
+
+    const gltf = await new GLTFLoader().loadAsync(url);
+
+    const extension = gltf.parser.json.extensions?.VRMC_vrm_animation;
+    if (!extension?.humanoid?.humanBones?.hips) {
+        throw new Error(`Not a VRM Animation (VRMC_vrm_animation with hips): ${url}`);
+    }
+    const clip = gltf.animations[0];
+    if (!clip) {
+        throw new Error(`No animation in ${url}`);
+    }
+
+    // rest pose of the animation
+    const nodes = await gltf.parser.getDependencies('node');
+    gltf.scene.updateWorldMatrix(false, true);
+
+    const boneNodes = {};  // humanoid bone name -> animation node
+    const nodeBoneNames = {};  // track node name -> humanoid bone name
+    for (const [boneName, { node }] of Object.entries(extension.humanoid.humanBones)) {
+        boneNodes[boneName] = nodes[node];
+        nodeBoneNames[nodes[node].name || nodes[node].uuid] = boneName;
+    }
+
+    const hipsParentWorldMatrix = boneNodes.hips.parent ? boneNodes.hips.parent.matrixWorld : new THREE.Matrix4();
+    const restRotationInverse = new THREE.Quaternion();
+    const parentRestWorldRotation = new THREE.Quaternion();
+    const _quatA = new THREE.Quaternion();
+    const _vec3 = new THREE.Vector3();
+
+    // Adjust with reference to hips height.
+    const motionHipsHeight = new THREE.Vector3().setFromMatrixPosition(boneNodes.hips.matrixWorld).y;
+    const vrmHipsHeight = Math.abs(vrm.hipPos0.y) * scale;
+    const hipsPositionScale = vrmHipsHeight / motionHipsHeight;
+
+    const tracks = [];
+
+    clip.tracks.forEach((track) => {
+
+        const trackSplitted = track.name.split('.');
+        const boneName = nodeBoneNames[trackSplitted[0]];
+        const vrmNodeName = vrm.humanoid?.getNormalizedBoneNode(boneName)?.name;
+
+        if (vrmNodeName == null) return;
+
+        const propertyName = trackSplitted[1];
+
+        if (track instanceof THREE.QuaternionKeyframeTrack) {
+
+            // the closest ancestor in the animation, or the parent of hips
+            let parentBoneName = VRMHumanBoneParentMap[boneName];
+            while (parentBoneName != null && boneNodes[parentBoneName] == null) {
+                parentBoneName = VRMHumanBoneParentMap[parentBoneName];
+            }
+            const parentWorldMatrix = parentBoneName != null ? boneNodes[parentBoneName].matrixWorld : hipsParentWorldMatrix;
+
+            restRotationInverse.setFromRotationMatrix(boneNodes[boneName].matrixWorld).normalize().invert();
+            parentRestWorldRotation.setFromRotationMatrix(parentWorldMatrix).normalize();
+
+            // parent rest world rotation * track rotation * inverse of the rest world rotation
+            const values = new Float32Array(track.values.length);
+            for (let i = 0; i < track.values.length; i += 4) {
+                _quatA.fromArray(track.values, i)
+                    .premultiply(parentRestWorldRotation)
+                    .multiply(restRotationInverse)
+                    .toArray(values, i);
+            }
+
+            // cloned to keep the interpolation (e.g. CUBICSPLINE, whose values include the tangents)
+            const vrmTrack = track.clone();
+            vrmTrack.name = `${vrmNodeName}.${propertyName}`;
+            vrmTrack.values = values.map((v, i) => (vrm.meta?.metaVersion === '0' && i % 2 === 0 ? - v : v));
+            tracks.push(vrmTrack);
+
+        } else if (track instanceof THREE.VectorKeyframeTrack && boneName === 'hips' && propertyName === 'position') {
+
+            // in the space of the parent of hips (CUBICSPLINE tangents: without the translation)
+            const isCubicSpline = track.values.length === track.times.length * 9;
+            const hipsParentRotationScale = new THREE.Matrix3().setFromMatrix4(hipsParentWorldMatrix);
+            const values = new Float32Array(track.values.length);
+            for (let i = 0; i < track.values.length; i += 3) {
+                _vec3.fromArray(track.values, i);
+                if (isCubicSpline && (i / 3) % 3 !== 1) {
+                    _vec3.applyMatrix3(hipsParentRotationScale);
+                } else {
+                    _vec3.applyMatrix4(hipsParentWorldMatrix);
+                }
+                _vec3.toArray(values, i);
+            }
+
+            const vrmTrack = track.clone();
+            vrmTrack.name = `${vrmNodeName}.${propertyName}`;
+            vrmTrack.values = values.map((v, i) => (vrm.meta?.metaVersion === '0' && i % 3 !== 1 ? - v : v) * hipsPositionScale);
+            tracks.push(vrmTrack);
+
+        }
 
     });
 
+    const vrmClip = new THREE.AnimationClip('vrmAnimation', clip.duration, tracks);
+    return rootMotion ? extractRootMotion(vrmClip, vrm) : vrmClip;
+
+}
+
+
+/**
+ * Load BVH motion, retarget it to the normalized bones, and return it.
+ * Joints are found with options.rigMap, as loadMixamoAnimation. The rest pose of the BVH (all rotations zero) does not have to be
+ * a T-pose: each bone is corrected by the rotation from its VRM rest direction to its BVH rest direction.
+ * The motion is expected to be Y-up and facing +Z, as Mixamo clips.
+ *
+ * @param {string} url A url of BVH data
+ * @param {VRM} vrm A target VRM
+ * @param {Object} [options]
+ * @param {string|Object} [options.rigMap='auto'] A registered rig map, a bone-name map, or 'auto' (see rigmaps.js)
+ * @param {boolean} [options.rootMotion=false] Move the horizontal hips motion to clip.rootMotion (see extractRootMotion)
+ * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
+ */
+export async function loadBVHAnimation(url, vrm, scale, { rigMap = 'auto', rootMotion = false } = {}) {
+
+    const { skeleton, clip } = await new BVHLoader().loadAsync(url);
+    const joints = skeleton.bones;  // parents come before their children
+
+    // the first joint of each humanoid bone of the VRM
+    const boneMap = resolveRigMap(rigMap, joints.map((joint) => joint.name));
+    const boneJoints = {};
+    for (const joint of joints) {
+        const boneName = boneMap[stripBonePrefix(joint.name)];
+        if (boneName && !boneJoints[boneName] && vrm.humanoid?.getNormalizedBoneNode(boneName)) {
+            boneJoints[boneName] = joint;
+        }
+    }
+    if (!boneJoints.hips) {
+        throw new Error(`No hips joint in the BVH motion: ${url}`);
+    }
+
+    // the closest ancestor bone in the motion
+    const getParentBoneName = (boneName) => {
+        let parentBoneName = VRMHumanBoneParentMap[boneName];
+        while (parentBoneName != null && boneJoints[parentBoneName] == null) {
+            parentBoneName = VRMHumanBoneParentMap[parentBoneName];
+        }
+        return parentBoneName;
+    };
+
+    const _quatA = new THREE.Quaternion();
+    const _quatB = new THREE.Quaternion();
+    const _vec3 = new THREE.Vector3();
+
+    // world rotations and positions of the joints at each frame (all tracks have the same times)
+    const times = clip.tracks[0].times;
+    const frameCount = times.length;
+    const getTrackValues = (joint, propertyName) => clip.tracks.find((track) => track.name === `${joint.name}.${propertyName}`)?.values;
+    const worldRotations = new Map();
+    const worldPositions = new Map();
+    for (const joint of joints) {
+        const rotations = getTrackValues(joint, 'quaternion');
+        const positions = getTrackValues(joint, 'position');
+        const parentRotations = worldRotations.get(joint.parent);
+        const parentPositions = worldPositions.get(joint.parent);
+        const jointRotations = new Float32Array(frameCount * 4);
+        const jointPositions = new Float32Array(frameCount * 3);
+        for (let i = 0; i < frameCount; i++) {
+            rotations ? _quatA.fromArray(rotations, i * 4) : _quatA.identity();
+            positions ? _vec3.fromArray(positions, i * 3) : _vec3.copy(joint.position);
+            if (parentRotations) {
+                _quatB.fromArray(parentRotations, i * 4);
+                _quatA.premultiply(_quatB);
+                _vec3.applyQuaternion(_quatB).add(new THREE.Vector3().fromArray(parentPositions, i * 3));
+            }
+            _quatA.toArray(jointRotations, i * 4);
+            _vec3.toArray(jointPositions, i * 3);
+        }
+        worldRotations.set(joint, jointRotations);
+        worldPositions.set(joint, jointPositions);
+    }
+
+    // rest pose of the motion (BVH joints have no rest rotations)
+    skeleton.bones[0].updateMatrixWorld(true);
+    const restPosition = (joint) => joint.getWorldPosition(new THREE.Vector3());
+    // VRM rest pose (T-pose, facing +Z)
+    const vrmRestDirection = (boneName) => {
+        const position = new THREE.Vector3().fromArray(vrm.humanoid.normalizedRestPose[boneName]?.position ?? [0, 0, 0]);
+        return vrm.meta?.metaVersion === '0' ? position.set(- position.x, position.y, - position.z) : position;
+    };
+
+    // rotation from the VRM rest direction to the BVH rest direction of each bone, towards
+    // the first child bone in the motion (the middle finger for hands), or the same as the parent
+    const restCorrections = {};
+    for (const boneName of VRMHumanBoneList) {
+        if (!boneJoints[boneName]) continue;
+        const parentCorrection = restCorrections[getParentBoneName(boneName)];
+        restCorrections[boneName] = parentCorrection ? parentCorrection.clone() : new THREE.Quaternion();
+
+        const handChild = { leftHand: 'leftMiddleProximal', rightHand: 'rightMiddleProximal' }[boneName];
+        const childBoneName = boneJoints[handChild] ? handChild :
+            VRMHumanBoneList.find((child) => VRMHumanBoneParentMap[child] === boneName && boneJoints[child]);
+        if (childBoneName == null) continue;
+        const vrmDirection = vrmRestDirection(childBoneName);
+        const motionDirection = restPosition(boneJoints[childBoneName]).sub(restPosition(boneJoints[boneName]));
+        if (vrmDirection.lengthSq() > 1e-12 && motionDirection.lengthSq() > 1e-12) {
+            restCorrections[boneName].setFromUnitVectors(vrmDirection.normalize(), motionDirection.normalize());
+        }
+    }
+
+    // Adjust with reference to hips height (above the lowest joint of the rest pose).
+    const motionHipsHeight = restPosition(boneJoints.hips).y - Math.min(...joints.map((joint) => restPosition(joint).y));
+    const vrmHipsHeight = Math.abs(vrm.hipPos0.y) * scale;
+    const hipsPositionScale = motionHipsHeight > 0 ? vrmHipsHeight / motionHipsHeight : 1;
+
+    const tracks = [];
+
+    for (const [boneName, joint] of Object.entries(boneJoints)) {
+
+        const vrmNodeName = vrm.humanoid.getNormalizedBoneNode(boneName).name;
+        const parentBoneName = getParentBoneName(boneName);
+        const rotations = worldRotations.get(joint);
+        const parentRotations = parentBoneName != null ? worldRotations.get(boneJoints[parentBoneName]) : null;
+        const restCorrection = restCorrections[boneName];
+        const parentRestCorrectionInverse = parentBoneName != null ?
+            restCorrections[parentBoneName].clone().invert() : new THREE.Quaternion();
+
+        // inverse of the parent correction * parent world rotation to the world rotation * correction
+        const values = new Float32Array(frameCount * 4);
+        for (let i = 0; i < frameCount; i++) {
+            _quatA.fromArray(rotations, i * 4);
+            if (parentRotations) {
+                _quatA.premultiply(_quatB.fromArray(parentRotations, i * 4).invert());
+            }
+            _quatA.premultiply(parentRestCorrectionInverse).multiply(restCorrection).toArray(values, i * 4);
+        }
+
+        tracks.push(
+            new THREE.QuaternionKeyframeTrack(
+                `${vrmNodeName}.quaternion`,
+                times,
+                values.map((v, i) => (vrm.meta?.metaVersion === '0' && i % 2 === 0 ? - v : v)),
+            ),
+        );
+
+        if (boneName === 'hips') {
+            const value = worldPositions.get(joint).map((v, i) => (vrm.meta?.metaVersion === '0' && i % 3 !== 1 ? - v : v) * hipsPositionScale);
+            tracks.push(new THREE.VectorKeyframeTrack(`${vrmNodeName}.position`, times, value));
+        }
+
+    }
+
+    const vrmClip = new THREE.AnimationClip('vrmAnimation', clip.duration, tracks);
+    return rootMotion ? extractRootMotion(vrmClip, vrm) : vrmClip;
+
+}
+
+
+/**
+ * Load a clip with the loader for the extension of url: .vrma, .bvh, .glb / .gltf, or else FBX.
+ *
+ * @param {string} url A url of animation data
+ * @param {VRM} vrm A target VRM
+ * @param {Object} [options] Options of the loader
+ * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
+ */
+export function loadAnimationClip(url, vrm, scale, options = {}) {
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (extension === 'vrma') {
+        return loadVRMAnimation(url, vrm, scale, options);
+    } else if (extension === 'bvh') {
+        return loadBVHAnimation(url, vrm, scale, options);
+    } else if (extension === 'glb' || extension === 'gltf') {
+        return loadGLTFAnimation(url, vrm, scale, options);
+    }
+    return loadMixamoAnimation(url, vrm, scale, options);
 }
 
 
 /**
- * A map from Mixamo rig name to VRM Humanoid bone name
+ * Strip the horizontal motion of hips from a converted clip and keep it as clip.rootMotion:
+ * { times, positions } with x, z of each key relative to the first key, in the space of the VRM scene.
+ * VRMCharacter.rootMotion is the displacement of the playing clips in each update.
+ *
+ * @param {THREE.AnimationClip} clip A clip converted for the VRM
+ * @param {VRM} vrm The target VRM
+ * @returns {THREE.AnimationClip} The clip
  */
-const mixamoVRMRigMap = {
-    mixamorigHips: 'hips',
-    mixamorigSpine: 'spine',
-    mixamorigSpine1: 'chest',
-    mixamorigSpine2: 'upperChest',
-    mixamorigNeck: 'neck',
-    mixamorigHead: 'head',
-    mixamorigLeftShoulder: 'leftShoulder',
-    mixamorigLeftArm: 'leftUpperArm',
-    mixamorigLeftForeArm: 'leftLowerArm',
-    mixamorigLeftHand: 'leftHand',
-    mixamorigLeftHandThumb1: 'leftThumbMetacarpal',
-    mixamorigLeftHandThumb2: 'leftThumbProximal',
-    mixamorigLeftHandThumb3: 'leftThumbDistal',
-    mixamorigLeftHandIndex1: 'leftIndexProximal',
-    mixamorigLeftHandIndex2: 'leftIndexIntermediate',
-    mixamorigLeftHandIndex3: 'leftIndexDistal',
-    mixamorigLeftHandMiddle1: 'leftMiddleProximal',
-    mixamorigLeftHandMiddle2: 'leftMiddleIntermediate',
-    mixamorigLeftHandMiddle3: 'leftMiddleDistal',
-    mixamorigLeftHandRing1: 'leftRingProximal',
-    mixamorigLeftHandRing2: 'leftRingIntermediate',
-    mixamorigLeftHandRing3: 'leftRingDistal',
-    mixamorigLeftHandPinky1: 'leftLittleProximal',
-    mixamorigLeftHandPinky2: 'leftLittleIntermediate',
-    mixamorigLeftHandPinky3: 'leftLittleDistal',
-    mixamorigRightShoulder: 'rightShoulder',
-    mixamorigRightArm: 'rightUpperArm',
-    mixamorigRightForeArm: 'rightLowerArm',
-    mixamorigRightHand: 'rightHand',
-    mixamorigRightHandPinky1: 'rightLittleProximal',
-    mixamorigRightHandPinky2: 'rightLittleIntermediate',
-    mixamorigRightHandPinky3: 'rightLittleDistal',
-    mixamorigRightHandRing1: 'rightRingProximal',
-    mixamorigRightHandRing2: 'rightRingIntermediate',
-    mixamorigRightHandRing3: 'rightRingDistal',
-    mixamorigRightHandMiddle1: 'rightMiddleProximal',
-    mixamorigRightHandMiddle2: 'rightMiddleIntermediate',
-    mixamorigRightHandMiddle3: 'rightMiddleDistal',
-    mixamorigRightHandIndex1: 'rightIndexProximal',
-    mixamorigRightHandIndex2: 'rightIndexIntermediate',
-    mixamorigRightHandIndex3: 'rightIndexDistal',
-    mixamorigRightHandThumb1: 'rightThumbMetacarpal',
-    mixamorigRightHandThumb2: 'rightThumbProximal',
-    mixamorigRightHandThumb3: 'rightThumbDistal',
-    mixamorigLeftUpLeg: 'leftUpperLeg',
-    mixamorigLeftLeg: 'leftLowerLeg',
-    mixamorigLeftFoot: 'leftFoot',
-    mixamorigLeftToeBase: 'leftToes',
-    mixamorigRightUpLeg: 'rightUpperLeg',
-    mixamorigRightLeg: 'rightLowerLeg',
-    mixamorigRightFoot: 'rightFoot',
-    mixamorigRightToeBase: 'rightToes',
-};
\ No newline at end of file
+export function extractRootMotion(clip, vrm) {
+    const hipsNodeName = vrm.humanoid.getNormalizedBoneNode('hips').name;
+    const track = clip.tracks.find((track) => track.name === `${hipsNodeName}.position`);
+    if (!track) {
+        clip.rootMotion = { times: new Float32Array([0]), positions: new Float32Array(2) };
+        return clip;
+    }
+
+    // cubic spline keys are (in-tangent, value, out-tangent)
+    const stride = track.values.length / track.times.length;
+    const offset = stride === 9 ? 3 : 0;
+    const values = track.values;
+    const x0 = values[offset];
+    const z0 = values[offset + 2];
+    const positions = new Float32Array(track.times.length * 2);
+    for (let i = 0; i < track.times.length; i++) {
+        positions[i * 2] = values[i * stride + offset] - x0;
+        positions[i * 2 + 1] = values[i * stride + offset + 2] - z0;
+        for (let j = 0; j < stride; j += 3) {
+            values[i * stride + j] = j === offset ? x0 : 0;
+            values[i * stride + j + 2] = j === offset ? z0 : 0;
+        }
+    }
+    clip.rootMotion = { times: track.times.slice(), positions };
+    return clip;
+}
+
+
+// linear interpolation of clip.rootMotion at time
+function sampleRootMotion(rootMotion, time, target) {
+    const { times, positions } = rootMotion;
+    const last = times.length - 1;
+    let i = 0;
+    while (i < last && times[i + 1] <= time) i++;
+    const t = i < last ? THREE.MathUtils.clamp((time - times[i]) / (times[i + 1] - times[i]), 0, 1) : 0;
+    const j = Math.min(i + 1, last);
+    return target.set(
+        THREE.MathUtils.lerp(positions[i * 2], positions[j * 2], t),
+        0,
+        THREE.MathUtils.lerp(positions[i * 2 + 1], positions[j * 2 + 1], t),
+    );
+}
@@ -29,6 +29,10 @@ const useGPU = !params.has('cpu');
 const noBG = params.has('nobg');
 const noCheck = params.has('nocheck');
 const savePly = params.has('saveply');
+const splatFormat = params.get('format') ?? 'ply';  // splat payload of the saved .gvrm: ply, splat, ksplat, qply
+const skinning = params.has('dqs') ? 'dualQuaternion' : 'linear';  // splat skinning
+const offsetFrame = params.has('tangentframe') ? 'tangent' : 'mesh';  // splat offsets in the vertex tangent frames
+const springBones = params.has('springbones');  // preprocess: bind hair / skirt splats to the spring bones
 const size = params.get('size');
 if (size) {
   const match = size.match(/([\d]+),([\d]+)/);
@@ -371,7 +375,7 @@ if (gvrmPath) {
     currentGvrmIndex = gvrmIndex;
   }
 
-  const promise2 = GVRM.load(gvrmPath, scene, camera, renderer, fileName);
+  const promise2 = GVRM.load(gvrmPath, scene, camera, renderer, fileName, { skinning, offsetFrame });
   promise2.then((_gvrm) => {
     gvrm = _gvrm;
     window.gvrm = gvrm;
@@ -405,7 +409,7 @@ if (gvrmPath) {
     currentGvrmIndex = gvrmIndex;
   }
 
-  const promise1 = preprocess(vrmPath, gsPath, scene, camera, renderer, stage, useGPU, noBG, noCheck, fileName, savePly);
+  const promise1 = preprocess(vrmPath, gsPath, scene, camera, renderer, stage, useGPU, noBG, noCheck, fileName, savePly, null, { format: splatFormat }, springBones);
   // Non-interactive preprocessing completed
   promise1.then((result) => {
     gvrm = result.gvrm;
@@ -462,6 +466,12 @@ window.addEventListener('drop', async function (event) {
   async function onDrop(fileType, url) {
     if (fileType === 'fbx') {
       await gvrm.changeFBX(url);
+    } else if (fileType === 'vrma') {
+      await gvrm.changeVRMA(url);
+    } else if (fileType === 'bvh') {
+      await gvrm.changeBVH(url);
+    } else if (fileType === 'glb' || fileType === 'gltf') {
+      await gvrm.changeGLTF(url);
     }
   }
 
@@ -506,7 +516,7 @@ window.addEventListener('keydown', async function (event) {
     currentGvrmIndex = (currentGvrmIndex + 1) % gvrmFiles.length;
     updateStatusList();
     await gvrm.remove(scene);
-    await gvrm.load(gvrmFiles[currentGvrmIndex], scene, camera, renderer, fileName);
+    await gvrm.load(gvrmFiles[currentGvrmIndex], scene, camera, renderer, fileName, { skinning, offsetFrame });
     await gvrm.changeFBX(fbxFiles[currentFbxIndex]);
   }
   if (event.code === "KeyA") {
@@ -531,7 +541,7 @@ document.getElementById('mobile-switch-avatar').addEventListener('click', async
   currentGvrmIndex = (currentGvrmIndex + 1) % gvrmFiles.length;
   updateStatusList();
   await gvrm.remove(scene);
-  await gvrm.load(gvrmFiles[currentGvrmIndex], scene, camera, renderer, fileName);
+  await gvrm.load(gvrmFiles[currentGvrmIndex], scene, camera, renderer, fileName, { skinning, offsetFrame });
   await gvrm.changeFBX(fbxFiles[currentFbxIndex]);
 });
 
@@ -548,7 +558,7 @@ document.getElementById('mobile-switch-animation').addEventListener('click', asy
 function animate() {
   if (!gvrm) return;
 
-  gvrm.update();
+  gvrm.update(camera);
 
   controls.update();
   controls2.update();
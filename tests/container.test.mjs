@@ -0,0 +1,207 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Round trips of the .gvrm container (gvrm-format/container.js). Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import {
+  parseGVRM, serializeGVRM, toHalf, fromHalf, DATA_ENTRY, PLY_ENTRY, SPLATS_ENTRY, VRM_ENTRY,
+} from '../gvrm-format/container.js';
+import { FORMAT_VERSION } from '../gvrm-format/schema.js';
+
+
+const vrm = new Uint8Array([0x67, 0x6c, 0x54, 0x46, 1, 2, 3, 4]);
+const ply = new TextEncoder().encode('ply\nformat binary_little_endian 1.0\nend_header\n');
+
+function makeData() {
+  return {
+    formatVersion: FORMAT_VERSION,
+    modelScale: 1.2,
+    boneOperations: [],
+    gsPosition: [0, 0, 0],
+    gsQuaternion: [0, 0, 1, 0],
+    splatVertexIndices: [0, 5, 70000],
+    splatBoneIndices: [3, 3, 12],
+    splatRelativePoses: [0.5, -0.25, 0.125, 1, 2, 3, -0.1, 0.2, 0.3],
+  };
+}
+
+function assertBytes(actual, expected) {
+  assert.deepEqual(new Uint8Array(actual), new Uint8Array(expected));
+}
+
+
+test('round trip with splats.bin', async () => {
+  const data = makeData();
+  const parsed = await parseGVRM(await serializeGVRM({ vrm, ply, data }));
+
+  assertBytes(parsed.vrm, vrm);
+  assertBytes(parsed.ply, ply);
+  assert.equal(parsed.splats.length, 1);
+  assertBytes(parsed.splats[0], ply);
+
+  assert.equal(parsed.data.formatVersion, FORMAT_VERSION);
+  assert.equal(parsed.data.modelScale, data.modelScale);
+  assert.deepEqual(parsed.data.splatPayload, { format: 'ply', files: [PLY_ENTRY] });
+  assert.equal(parsed.data.splatAttributes, undefined);
+  assert.ok(parsed.data.splatVertexIndices instanceof Uint32Array);
+  assert.ok(parsed.data.splatBoneIndices instanceof Uint8Array);
+  assert.ok(parsed.data.splatRelativePoses instanceof Float32Array);
+  assert.deepEqual(Array.from(parsed.data.splatVertexIndices), data.splatVertexIndices);
+  assert.deepEqual(Array.from(parsed.data.splatBoneIndices), data.splatBoneIndices);
+  assert.deepEqual(Array.from(parsed.data.splatRelativePoses), Array.from(new Float32Array(data.splatRelativePoses)));
+});
+
+
+test('round trip through other output types', async () => {
+  for (const type of ['uint8array', 'blob']) {
+    const parsed = await parseGVRM(await serializeGVRM({ vrm, ply, data: makeData() }, { type }));
+    assertBytes(parsed.vrm, vrm);
+    assertBytes(parsed.ply, ply);
+  }
+});
+
+
+test('the per-splat arrays are moved out of data.json', async () => {
+  const zip = await JSZip.loadAsync(await serializeGVRM({ vrm, ply, data: makeData() }));
+  const json = JSON.parse(await zip.file(DATA_ENTRY).async('text'));
+
+  assert.ok(zip.file(SPLATS_ENTRY));
+  assert.equal(json.splatVertexIndices, undefined);
+  assert.equal(json.splatAttributes.file, SPLATS_ENTRY);
+  for (const name of ['splatVertexIndices', 'splatBoneIndices', 'splatRelativePoses']) {
+    assert.equal(json.splatAttributes[name].offset % 4, 0, `${name} is not aligned`);
+  }
+});
+
+
+test('round trip of the legacy JSON layout', async () => {
+  const data = makeData();
+  const buffer = await serializeGVRM({ vrm, ply, data }, { binary: false });
+
+  const zip = await JSZip.loadAsync(buffer);
+  assert.equal(zip.file(SPLATS_ENTRY), null);
+  assert.deepEqual(JSON.parse(await zip.file(DATA_ENTRY).async('text')).splatBoneIndices, data.splatBoneIndices);
+
+  const parsed = await parseGVRM(buffer);
+  assert.deepEqual(parsed.data, { ...data, splatPayload: { format: 'ply', files: [PLY_ENTRY] } });
+});
+
+
+test('typed arrays are written as JSON arrays in the legacy layout', async () => {
+  const data = { ...makeData(), splatBoneIndices: new Uint8Array([1, 2, 3]) };
+  const parsed = await parseGVRM(await serializeGVRM({ vrm, ply, data }, { binary: false }));
+  assert.deepEqual(parsed.data.splatBoneIndices, [1, 2, 3]);
+});
+
+
+test('bone indices above 255 are stored as uint16', async () => {
+  const data = { ...makeData(), splatBoneIndices: [0, 255, 300] };
+  const parsed = await parseGVRM(await serializeGVRM({ vrm, ply, data }));
+  assert.ok(parsed.data.splatBoneIndices instanceof Uint16Array);
+  assert.deepEqual(Array.from(parsed.data.splatBoneIndices), [0, 255, 300]);
+});
+
+
+test('float16 relative poses are within half-float precision', async () => {
+  const data = makeData();
+  const parsed = await parseGVRM(await serializeGVRM({ vrm, ply, data }, { float16: true }));
+  assert.ok(parsed.data.splatRelativePoses instanceof Float32Array);
+  data.splatRelativePoses.forEach((value, i) => {
+    assert.ok(Math.abs(parsed.data.splatRelativePoses[i] - value) <= Math.abs(value) / 1024,
+      `splatRelativePoses[${i}]: ${parsed.data.splatRelativePoses[i]} != ${value}`);
+  });
+});
+
+
+test('optional per-splat arrays round trip', async () => {
+  const data = {
+    ...makeData(),
+    splatTriangles: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    splatBarycentrics: [0.25, 0.5, 0, 0, 1, 0],
+    splatNormalOffsets: [0.01, -0.02, 0],
+    splatLods: [0, 1, 2],
+    lodFractions: [1, 0.5, 0.25],
+  };
+  const parsed = await parseGVRM(await serializeGVRM({ vrm, ply, data }));
+  assert.deepEqual(Array.from(parsed.data.splatTriangles), data.splatTriangles);
+  assert.deepEqual(Array.from(parsed.data.splatBarycentrics), data.splatBarycentrics);
+  assert.deepEqual(Array.from(parsed.data.splatNormalOffsets), Array.from(new Float32Array(data.splatNormalOffsets)));
+  assert.deepEqual(Array.from(parsed.data.splatLods), data.splatLods);
+  assert.deepEqual(parsed.data.lodFractions, data.lodFractions);
+});
+
+
+test('round trip of a payload in several files', async () => {
+  const files = ['scene0.ksplat', 'scene1.ksplat'];
+  const splats = { [files[0]]: new Uint8Array([1, 2, 3]), [files[1]]: new Uint8Array([4, 5]) };
+  const data = {
+    ...makeData(),
+    splatPayload: { format: 'ksplat', files },
+    sceneRanges: [{ bone: 3, start: 0, count: 2 }, { bone: 12, start: 2, count: 1 }],
+  };
+  const parsed = await parseGVRM(await serializeGVRM({ vrm, splats, data }));
+
+  assert.equal(parsed.ply, undefined);
+  assert.equal(parsed.splats.length, files.length);
+  files.forEach((name, i) => assertBytes(parsed.splats[i], splats[name]));
+  assert.deepEqual(parsed.data.splatPayload, data.splatPayload);
+  assert.deepEqual(parsed.data.sceneRanges, data.sceneRanges);
+});
+
+
+test('a payload file missing from splats is an error', async () => {
+  const data = { ...makeData(), splatPayload: { format: 'spz', files: ['model.spz'] } };
+  await assert.rejects(serializeGVRM({ vrm, splats: {}, data }), /model\.spz is listed in splatPayload/);
+});
+
+
+test('a file written before formatVersion is migrated', async () => {
+  const { formatVersion, splatRelativePoses, ...legacy } = makeData();
+  legacy.relativePoses = splatRelativePoses;
+
+  const zip = new JSZip();
+  zip.file(VRM_ENTRY, vrm);
+  zip.file(PLY_ENTRY, ply);
+  zip.file(DATA_ENTRY, JSON.stringify(legacy));
+  const parsed = await parseGVRM(await zip.generateAsync({ type: 'arraybuffer' }));
+
+  assert.equal(parsed.data.formatVersion, FORMAT_VERSION);
+  assert.deepEqual(parsed.data.splatRelativePoses, splatRelativePoses);
+  assert.equal(parsed.data.relativePoses, undefined);
+  assert.deepEqual(parsed.data.splatPayload, { format: 'ply', files: [PLY_ENTRY] });
+  assertBytes(parsed.ply, ply);
+});
+
+
+test('missing entries are errors', async () => {
+  const zip = new JSZip();
+  zip.file(VRM_ENTRY, vrm);
+  zip.file(DATA_ENTRY, JSON.stringify({ ...makeData(), splatPayload: { format: 'ply', files: [PLY_ENTRY] } }));
+  await assert.rejects(parseGVRM(await zip.generateAsync({ type: 'arraybuffer' })), /model\.ply not found/);
+
+  zip.remove(VRM_ENTRY);
+  zip.file(PLY_ENTRY, ply);
+  await assert.rejects(parseGVRM(await zip.generateAsync({ type: 'arraybuffer' })), /model\.vrm not found/);
+});
+
+
+test('out of bounds splat attributes are errors', async () => {
+  const zip = await JSZip.loadAsync(await serializeGVRM({ vrm, ply, data: makeData() }));
+  zip.file(SPLATS_ENTRY, new Uint8Array(4));
+  await assert.rejects(parseGVRM(await zip.generateAsync({ type: 'arraybuffer' })), /out of bounds/);
+});
+
+
+test('half floats', () => {
+  for (const value of [0, 1, -2, 0.5, 65504, 2 ** -14, 2 ** -24]) {
+    assert.equal(fromHalf(toHalf(value)), value);
+  }
+  assert.equal(fromHalf(toHalf(1e6)), Infinity);
+  assert.equal(fromHalf(toHalf(-Infinity)), -Infinity);
+  assert.ok(Number.isNaN(fromHalf(toHalf(NaN))));
+  assert.equal(fromHalf(toHalf(0.1)), 0.0999755859375);
+});
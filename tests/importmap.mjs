@@ -0,0 +1,36 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Resolves the local entries of the importmap in index.html (e.g. gaussian-splats-3d -> ./lib/...) for the tests,
+// the other bare specifiers come from node_modules. Loaded by `npm test` with --import.
+
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+import { readFileSync } from 'node:fs';
+
+
+const root = new URL('../', import.meta.url);
+
+if (isMainThread) {
+  // the hooks below run in their own thread
+  register(import.meta.url);
+}
+
+let localImports = null;
+
+function getLocalImports() {
+  if (!localImports) {
+    const html = readFileSync(new URL('index.html', root), 'utf8');
+    const { imports } = JSON.parse(html.match(/<script type="importmap">([\s\S]*?)<\/script>/)[1]);
+    localImports = Object.fromEntries(Object.entries(imports)
+      .filter(([, path]) => path.startsWith('./'))
+      .map(([specifier, path]) => [specifier, new URL(path, root).href]));
+  }
+  return localImports;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const url = getLocalImports()[specifier];
+  return url ? { url, shortCircuit: true } : nextResolve(specifier, context);
+}
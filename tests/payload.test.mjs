@@ -0,0 +1,209 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Encode/decode round trips of the splat payload codecs (gvrm-format/payload.js). Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import * as GS3D from 'gaussian-splats-3d';
+import { SPLAT_CODECS, getSplatCodec } from '../gvrm-format/payload.js';
+import { PLYParser } from '../gvrm-format/ply.js';
+
+
+const SH_C0 = 0.28209479177387814;
+
+// 3DGS properties with SH degree 1 (3 f_rest coefficients per channel)
+const PROPERTIES = ['x', 'y', 'z', 'f_dc_0', 'f_dc_1', 'f_dc_2',
+  ...Array.from({ length: 9 }, (_, i) => `f_rest_${i}`),
+  'opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3'];
+
+// two scenes, with splats several ksplat blocks (5 units) apart so that the buckets reorder them
+const SCENE_RANGES = [{ bone: 0, start: 0, count: 3 }, { bone: 1, start: 3, count: 3 }];
+const SPLATS = [
+  [0, 0, 0], [12, 0.5, -1], [1, 0.25, 0.5],
+  [-4, 9, 2], [-3.5, 1, 2.5], [-4.25, 9.5, 1.75],
+].map(([x, y, z], i) => ({
+  x, y, z,
+  f_dc_0: 1.5 - i * 0.5, f_dc_1: i * 0.25, f_dc_2: -0.75,
+  ...Object.fromEntries(Array.from({ length: 9 }, (_, k) => [`f_rest_${k}`, (k - 4) * 0.05 + i * 0.01])),
+  opacity: i - 2.5,
+  scale_0: -3 - i * 0.1, scale_1: -4, scale_2: -2.5 + i * 0.2,
+  // not normalized
+  rot_0: 2, rot_1: i * 0.3, rot_2: -0.5, rot_3: 1 - i * 0.2,
+}));
+
+function makePLY() {
+  const header = new TextEncoder().encode([
+    'ply',
+    'format binary_little_endian 1.0',
+    `element vertex ${SPLATS.length}`,
+    ...PROPERTIES.map(name => `property float ${name}`),
+    'end_header',
+  ].join('\n') + '\n');
+  const buffer = new ArrayBuffer(header.length + SPLATS.length * PROPERTIES.length * 4);
+  new Uint8Array(buffer).set(header);
+  const view = new DataView(buffer, header.length);
+  SPLATS.forEach((splat, i) => PROPERTIES.forEach((name, p) => {
+    view.setFloat32((i * PROPERTIES.length + p) * 4, splat[name], true);
+  }));
+  return buffer;
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} != ${expected} (±${tolerance})`);
+}
+
+function normalizedRotation(splat) {
+  const q = [splat.rot_0, splat.rot_1, splat.rot_2, splat.rot_3];
+  const norm = Math.hypot(...q);
+  return q.map(value => value / norm);
+}
+
+// splats of every scene of a decoded PLY payload, as columns
+function decodeColumns(codec, files) {
+  const decoded = codec.decode(files);
+  assert.equal(decoded.splatCount, SPLATS.length);
+  return SCENE_RANGES.map(({ start, count }, sceneIndex) =>
+    new PLYParser().parseColumns(decoded.getScene(sceneIndex, start, count).buffer).columns);
+}
+
+
+test('ply: scenes are slices of the PLY', () => {
+  const ply = makePLY();
+  const { files, order } = SPLAT_CODECS.ply.encode(ply, SCENE_RANGES);
+  assert.equal(order, null);
+  assert.deepEqual(Object.keys(files), ['model.ply']);
+
+  decodeColumns(SPLAT_CODECS.ply, Object.values(files)).forEach((columns, sceneIndex) => {
+    const { start, count } = SCENE_RANGES[sceneIndex];
+    for (const name of PROPERTIES) {
+      assert.deepEqual(Array.from(columns[name]),
+        SPLATS.slice(start, start + count).map(splat => Math.fround(splat[name])), name);
+    }
+  });
+});
+
+
+test('splat: positions, scales, colors and rotations', () => {
+  const { files, order } = SPLAT_CODECS.splat.encode(makePLY(), SCENE_RANGES);
+  assert.equal(order, null);
+  const decoded = SPLAT_CODECS.splat.decode(Object.values(files));
+  assert.equal(decoded.splatCount, SPLATS.length);
+
+  SCENE_RANGES.forEach(({ start, count }, sceneIndex) => {
+    const scene = decoded.getScene(sceneIndex, start, count);
+    assert.equal(scene.byteLength, count * 32);
+    const floats = new Float32Array(scene);
+    const bytes = new Uint8Array(scene);
+
+    for (let j = 0; j < count; j++) {
+      const splat = SPLATS[start + j];
+      const message = `splat ${start + j}`;
+      assert.deepEqual(Array.from(floats.subarray(j * 8, j * 8 + 3)), [splat.x, splat.y, splat.z].map(Math.fround), message);
+      [splat.scale_0, splat.scale_1, splat.scale_2].forEach((scale, k) => {
+        assertClose(floats[j * 8 + 3 + k], Math.exp(scale), Math.exp(scale) * 1e-6, `${message} scale ${k}`);
+      });
+      [splat.f_dc_0, splat.f_dc_1, splat.f_dc_2].forEach((dc, k) => {
+        const color = Math.min(1, Math.max(0, 0.5 + SH_C0 * dc));
+        assertClose(bytes[j * 32 + 24 + k] / 255, color, 0.5 / 255, `${message} color ${k}`);
+      });
+      assertClose(bytes[j * 32 + 27] / 255, 1 / (1 + Math.exp(-splat.opacity)), 0.5 / 255, `${message} opacity`);
+      normalizedRotation(splat).forEach((value, k) => {
+        assertClose((bytes[j * 32 + 28 + k] - 128) / 128, value, 0.5 / 128, `${message} rotation ${k}`);
+      });
+    }
+  });
+});
+
+
+test('splat: the size must be a multiple of a row', () => {
+  assert.throws(() => SPLAT_CODECS.splat.decode([new ArrayBuffer(33)]), /multiple of 32 bytes/);
+});
+
+
+test('ksplat: order matches the splats as written', () => {
+  const ply = makePLY();
+  const { files, order } = SPLAT_CODECS.ksplat.encode(ply, SCENE_RANGES, { sphericalHarmonicsDegree: 1 });
+  assert.deepEqual(Object.keys(files), ['splats/0.ksplat', 'splats/1.ksplat']);
+
+  // a permutation within each scene, and not the identity for these splats
+  SCENE_RANGES.forEach(({ start, count }) => {
+    const sceneOrder = Array.from(order.subarray(start, start + count));
+    assert.deepEqual([...sceneOrder].sort(), Array.from({ length: count }, (_, j) => start + j));
+  });
+  assert.notDeepEqual(Array.from(order), SPLATS.map((_, i) => i));
+
+  const decoded = SPLAT_CODECS.ksplat.decode(Object.values(files));
+  assert.equal(decoded.splatCount, SPLATS.length);
+
+  // GVRM.save reorders the per-splat data by order, so splat i of the payload must be SPLATS[order[i]]
+  const center = new THREE.Vector3();
+  const color = new THREE.Vector4();
+  SCENE_RANGES.forEach(({ start, count }, sceneIndex) => {
+    const splatBuffer = new GS3D.SplatBuffer(decoded.getScene(sceneIndex));
+    assert.equal(splatBuffer.getSplatCount(), count);
+    for (let j = 0; j < count; j++) {
+      const splat = SPLATS[order[start + j]];
+      const message = `scene ${sceneIndex} splat ${j}`;
+      splatBuffer.getSplatCenter(j, center);
+      // half floats relative to the bucket center
+      assertClose(center.x, splat.x, 4e-3, `${message} x`);
+      assertClose(center.y, splat.y, 4e-3, `${message} y`);
+      assertClose(center.z, splat.z, 4e-3, `${message} z`);
+      splatBuffer.getSplatColor(j, color);
+      assertClose(color.x / 255, Math.min(1, Math.max(0, 0.5 + SH_C0 * splat.f_dc_0)), 1 / 255, `${message} red`);
+    }
+  });
+
+  // the same as reordering the PLY the way GVRM.save does
+  const reordered = new PLYParser().parseColumns(new PLYParser().reorderPLY(ply, Array.from(order)).buffer).columns;
+  assert.deepEqual(Array.from(reordered.x), Array.from(order).map(i => Math.fround(SPLATS[i].x)));
+});
+
+
+test('qply: quantize ranges round trip through the header', () => {
+  const { files, order } = SPLAT_CODECS.qply.encode(makePLY(), SCENE_RANGES);
+  assert.equal(order, null);
+  const [qply] = Object.values(files);
+
+  const { header, properties } = new PLYParser().parseColumns(qply.buffer);
+  const ranges = Object.fromEntries(header
+    .filter(line => line.startsWith('comment quantize '))
+    .map(line => line.split(' ').slice(2))
+    .map(([name, min, max]) => [name, [Number(min), Number(max)]]));
+  // SH degree 1 is kept whole under the default degree 2
+  assert.deepEqual(Object.keys(ranges), PROPERTIES.filter(name => !name.startsWith('f_rest_')).concat(
+    Array.from({ length: 9 }, (_, i) => `f_rest_${i}`)));
+  for (const name of PROPERTIES) {
+    const values = SPLATS.map(splat => Math.fround(splat[name]));
+    assert.deepEqual(ranges[name], [Math.min(...values), Math.max(...values)], name);
+  }
+  assert.deepEqual(properties.map(prop => prop.type),
+    Object.keys(ranges).map(name => name.startsWith('f_rest_') ? 'uchar' : 'ushort'));
+
+  decodeColumns(SPLAT_CODECS.qply, [qply.buffer]).forEach((columns, sceneIndex) => {
+    const { start, count } = SCENE_RANGES[sceneIndex];
+    for (const name of PROPERTIES) {
+      const [min, max] = ranges[name];
+      const step = (max - min) / (name.startsWith('f_rest_') ? 255 : 65535);
+      for (let j = 0; j < count; j++) {
+        assertClose(columns[name][j], SPLATS[start + j][name], step / 2 + 1e-6, `splat ${start + j} ${name}`);
+      }
+    }
+  });
+});
+
+
+test('qply: spherical harmonics are truncated to the degree', () => {
+  const { files } = SPLAT_CODECS.qply.encode(makePLY(), SCENE_RANGES, { sphericalHarmonicsDegree: 0 });
+  const [columns] = decodeColumns(SPLAT_CODECS.qply, [files['model.qply'].buffer]);
+  assert.deepEqual(Object.keys(columns), PROPERTIES.filter(name => !name.startsWith('f_rest_')));
+});
+
+
+test('unknown payload formats are errors', () => {
+  assert.equal(getSplatCodec('qply'), SPLAT_CODECS.qply);
+  assert.throws(() => getSplatCodec('spz'), /Unsupported splat payload format: spz/);
+});
@@ -0,0 +1,222 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Round trips of gvrm-format/ply.js through the formats, scalar types and extra elements. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PLYParser } from '../gvrm-format/ply.js';
+
+
+// a camera element before the vertices, and faces after them
+const HEADER = (format, vertexCount = 4, faceCount = 2) => [
+  'ply',
+  `format ${format} 1.0`,
+  'comment made by hand',
+  'element camera 1',
+  'property float fov',
+  'property int width',
+  `element vertex ${vertexCount}`,
+  'property double x',
+  'property double y',
+  'property float z',
+  'property uchar red',
+  'property uchar green',
+  'property uchar blue',
+  `element face ${faceCount}`,
+  'property list uchar int vertex_indices',
+  'end_header',
+];
+
+const CAMERA = { fov: 0.75, width: 640 };
+const VERTICES = [
+  { x: 0.1, y: -2.5, z: 3, red: 255, green: 0, blue: 10 },
+  { x: 1e-7, y: 1234.5678, z: -0.25, red: 1, green: 2, blue: 3 },
+  { x: -3, y: 0, z: 0.5, red: 128, green: 64, blue: 32 },
+  { x: 2, y: 2, z: 2, red: 0, green: 255, blue: 0 },
+];
+const FACES = [[0, 1, 2], [1, 2, 3]];
+
+function asciiPLY() {
+  const lines = [
+    ...HEADER('ascii'),
+    `${CAMERA.fov} ${CAMERA.width}`,
+    ...VERTICES.map(v => `${v.x} ${v.y} ${v.z} ${v.red} ${v.green} ${v.blue}`),
+    ...FACES.map(face => `${face.length} ${face.join(' ')}`),
+  ];
+  return new TextEncoder().encode(lines.join('\n') + '\n').buffer;
+}
+
+// written field by field with DataView, independently of the parser
+function binaryPLY(littleEndian) {
+  const header = new TextEncoder().encode(
+    HEADER(littleEndian ? 'binary_little_endian' : 'binary_big_endian').join('\n') + '\n');
+  const bodySize = 8 + VERTICES.length * (8 + 8 + 4 + 3) + FACES.length * (1 + 3 * 4);
+  const buffer = new ArrayBuffer(header.length + bodySize);
+  new Uint8Array(buffer).set(header);
+  const view = new DataView(buffer);
+
+  let offset = header.length;
+  view.setFloat32(offset, CAMERA.fov, littleEndian); offset += 4;
+  view.setInt32(offset, CAMERA.width, littleEndian); offset += 4;
+  for (const v of VERTICES) {
+    view.setFloat64(offset, v.x, littleEndian); offset += 8;
+    view.setFloat64(offset, v.y, littleEndian); offset += 8;
+    view.setFloat32(offset, v.z, littleEndian); offset += 4;
+    view.setUint8(offset++, v.red);
+    view.setUint8(offset++, v.green);
+    view.setUint8(offset++, v.blue);
+  }
+  for (const face of FACES) {
+    view.setUint8(offset++, face.length);
+    for (const index of face) {
+      view.setInt32(offset, index, littleEndian); offset += 4;
+    }
+  }
+  return buffer;
+}
+
+const SOURCES = {
+  ascii: asciiPLY,
+  binary_little_endian: () => binaryPLY(true),
+  binary_big_endian: () => binaryPLY(false),
+};
+
+function assertVertices(vertices) {
+  assert.equal(vertices.length, VERTICES.length);
+  vertices.forEach((vertex, i) => {
+    const expected = VERTICES[i];
+    assert.equal(vertex.x, expected.x);  // double: exact
+    assert.equal(vertex.y, expected.y);
+    assert.equal(vertex.z, Math.fround(expected.z));
+    assert.deepEqual([vertex.red, vertex.green, vertex.blue], [expected.red, expected.green, expected.blue]);
+  });
+}
+
+function assertElements(elementData, faces = FACES) {
+  assert.equal(elementData.beforeRows.length, 1);
+  assert.equal(elementData.beforeRows[0].element.name, 'camera');
+  assert.equal(elementData.beforeRows[0].rows[0].fov, Math.fround(CAMERA.fov));
+  assert.equal(elementData.beforeRows[0].rows[0].width, CAMERA.width);
+  assert.equal(elementData.afterRows.length, 1);
+  assert.deepEqual(elementData.afterRows[0].rows.map(row => row.vertex_indices), faces);
+}
+
+// face indices of a PLY, read back with the parser
+function readFaces(buffer) {
+  const { elementData } = new PLYParser().parseColumns(buffer.buffer ?? buffer);
+  return elementData.afterRows[0].rows.map(row => row.vertex_indices);
+}
+
+
+for (const [format, makePLY] of Object.entries(SOURCES)) {
+  test(`${format}: parsePLYBuffer and createPLYFile`, async () => {
+    const source = makePLY();
+    const parser = new PLYParser();
+    const parsed = await parser.parsePLYBuffer(source);
+
+    assert.equal(parsed.format, format);
+    assert.equal(parsed.vertexCount, VERTICES.length);
+    assert.equal(parsed.vertexSize, format === 'ascii' ? null : 23);
+    assertVertices(parsed.vertices);
+    assertElements(parsed.elementData);
+
+    // the same format: unchanged
+    const copy = parser.createPLYFile(parsed.header, parsed.vertices, parsed.vertexSize, parsed.elementData);
+    assert.deepEqual(copy, new Uint8Array(source));
+
+    // every other format: the same values
+    for (const target of Object.keys(SOURCES)) {
+      const converted = parser.createPLYFile(parsed.header, parsed.vertices, parsed.vertexSize, parsed.elementData, target);
+      const reparsed = await new PLYParser().parsePLYBuffer(converted.buffer);
+      assert.equal(reparsed.format, target);
+      assertVertices(reparsed.vertices);
+      assertElements(reparsed.elementData);
+    }
+  });
+
+
+  test(`${format}: parseColumns`, () => {
+    const parsed = new PLYParser().parseColumns(makePLY());
+
+    assert.ok(parsed.columns.x instanceof Float64Array);
+    assert.ok(parsed.columns.z instanceof Float32Array);
+    assert.ok(parsed.columns.red instanceof Uint8Array);
+    assertVertices(VERTICES.map((_, i) => Object.fromEntries(
+      Object.entries(parsed.columns).map(([name, column]) => [name, column[i]]))));
+    assertElements(parsed.elementData);
+
+    // columns back to the other formats
+    for (const target of Object.keys(SOURCES)) {
+      const converted = new PLYParser().createPLYFile(parsed.header, parsed, parsed.vertexSize, parsed.elementData, target);
+      const reparsed = new PLYParser().parseColumns(converted.buffer);
+      assert.deepEqual(reparsed.columns, parsed.columns);
+      assertElements(reparsed.elementData);
+    }
+  });
+
+
+  test(`${format}: faces follow a subset of the vertices`, () => {
+    const parser = new PLYParser();
+    const source = makePLY();
+    const parsed = parser.parseColumns(source);
+    const header = parser.createModifiedHeader(parsed.header, 3);
+
+    // vertices 2, 1, 0: the first face is reversed, the second one loses vertex 3
+    const subset = parser.createPLYFile(header, parsed, parsed.vertexSize, parsed.elementData, null, [2, 1, 0]);
+    assert.deepEqual(readFaces(subset), [[2, 1, 0]]);
+    assert.ok(new TextDecoder().decode(subset).includes('element face 1\n'));
+    assert.deepEqual(Array.from(parser.parseColumns(subset.buffer).columns.red), [128, 1, 255]);
+
+    assert.deepEqual(readFaces(parser.reorderPLY(source, [3, 2, 1])), [[2, 1, 0]]);
+    assert.deepEqual(readFaces(parser.slicePLY(source, 1, 3)), [[0, 1, 2]]);
+    assert.deepEqual(readFaces(parser.slicePLY(source, 0, 2)), []);
+
+    const sliced = new PLYParser().parseColumns(parser.slicePLY(source, 1, 3).buffer);
+    assert.deepEqual(Array.from(sliced.columns.x), VERTICES.slice(1).map(v => v.x));
+    assert.equal(sliced.elementData.beforeRows[0].rows[0].width, CAMERA.width);
+  });
+}
+
+
+test('splitPLY: one PLY per scene, with the faces of its vertices', async () => {
+  // splitPLY fetches the PLY and writes blob URLs
+  const source = binaryPLY(false);
+  const url = URL.createObjectURL(new Blob([source]));
+  const restoreDocument = globalThis.document;
+  globalThis.document = { getElementById: () => null };
+  try {
+    const sceneUrls = await new PLYParser().splitPLY(url, { 0: [0, 1, 2], 1: [3, 1, 2] });
+    const scenes = await Promise.all(sceneUrls.map(async sceneUrl => (await fetch(sceneUrl)).arrayBuffer()));
+
+    const parsed = scenes.map(scene => new PLYParser().parseColumns(scene));
+    assert.deepEqual(Array.from(parsed[0].columns.y), [0, 1, 2].map(i => VERTICES[i].y));
+    assert.deepEqual(Array.from(parsed[1].columns.y), [3, 1, 2].map(i => VERTICES[i].y));
+    assert.deepEqual(readFaces(scenes[0]), [[0, 1, 2]]);
+    assert.deepEqual(readFaces(scenes[1]), [[1, 2, 0]]);
+    parsed.forEach(scene => assert.equal(scene.elementData.beforeRows[0].rows[0].width, CAMERA.width));
+  } finally {
+    globalThis.document = restoreDocument;
+  }
+});
+
+
+test('PLYs without other elements are sliced as they are', () => {
+  const parser = new PLYParser();
+  const source = parser.createPLYFile(
+    ['ply', 'format binary_little_endian 1.0', 'element vertex 3', 'property float x', 'end_header'],
+    { columns: { x: new Float32Array([1, 2, 3]) }, vertexCount: 3, format: 'ascii' }, 4);
+  assert.deepEqual(Array.from(parser.parseColumns(parser.slicePLY(source.buffer, 1, 2).buffer).columns.x), [2, 3]);
+  assert.deepEqual(Array.from(parser.parseColumns(parser.reorderPLY(source.buffer, [2, 0]).buffer).columns.x), [3, 1]);
+});
+
+
+test('unsupported headers are errors', () => {
+  const encode = (lines) => new TextEncoder().encode(lines.join('\n') + '\n').buffer;
+  assert.throws(() => new PLYParser().parseHeader(encode(['ply', 'format binary_middle_endian 1.0', 'end_header'])),
+    /unsupported format/);
+  assert.throws(() => new PLYParser().parseHeader(encode(['ply', 'element vertex 1', 'property half x', 'end_header'])),
+    /unknown type half/);
+  assert.throws(() => new PLYParser().parseHeader(encode(['ply', 'element vertex 1'])), /end_header not found/);
+});
@@ -0,0 +1,129 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Bone-name matching of gvrm-format/rigmaps.js for the supported rigs. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  stripBonePrefix, guessVRMBoneName, detectRigMap, getRigMap, registerRigMap, resolveRigMap,
+} from '../gvrm-format/rigmaps.js';
+
+
+const MIXAMO_BONES = ['Hips', 'Spine', 'Spine1', 'Spine2', 'Neck', 'Head', 'HeadTop_End',
+  ...['Left', 'Right'].flatMap(side => [`${side}Shoulder`, `${side}Arm`, `${side}ForeArm`, `${side}Hand`,
+    `${side}HandThumb1`, `${side}HandIndex1`, `${side}HandPinky3`,
+    `${side}UpLeg`, `${side}Leg`, `${side}Foot`, `${side}ToeBase`])];
+
+const UNREAL_BONES = ['root', 'pelvis', 'spine_01', 'spine_02', 'spine_03', 'neck_01', 'head',
+  ...['l', 'r'].flatMap(s => [`clavicle_${s}`, `upperarm_${s}`, `lowerarm_${s}`, `hand_${s}`,
+    `thumb_01_${s}`, `index_02_${s}`, `pinky_03_${s}`, `thigh_${s}`, `calf_${s}`, `foot_${s}`, `ball_${s}`])];
+
+// CMU BVH: Mixamo names with extra joints, and one joint per thumb
+const CMU_BONES = ['Hips', 'LHipJoint', 'LeftUpLeg', 'LeftLeg', 'LeftFoot', 'LeftToeBase',
+  'RHipJoint', 'RightUpLeg', 'RightLeg', 'RightFoot', 'RightToeBase', 'LowerBack', 'Spine', 'Spine1', 'Neck', 'Neck1', 'Head',
+  'LeftShoulder', 'LeftArm', 'LeftForeArm', 'LeftHand', 'LeftFingerBase', 'LeftHandIndex1', 'LThumb',
+  'RightShoulder', 'RightArm', 'RightForeArm', 'RightHand', 'RightFingerBase', 'RightHandIndex1', 'RThumb'];
+
+// VRoid (VRM 0.x exported as FBX/GLB): J_Bip_ humanoid bones and J_Sec_ spring bones
+const VROID_BONES = ['Root', 'J_Bip_C_Hips', 'J_Bip_C_Spine', 'J_Bip_C_Chest', 'J_Bip_C_UpperChest',
+  'J_Bip_C_Neck', 'J_Bip_C_Head', 'J_Sec_Hair1_01',
+  ...['L', 'R'].flatMap(s => [`J_Bip_${s}_Shoulder`, `J_Bip_${s}_UpperArm`, `J_Bip_${s}_LowerArm`, `J_Bip_${s}_Hand`,
+    `J_Bip_${s}_Index2`, `J_Bip_${s}_UpperLeg`, `J_Bip_${s}_LowerLeg`, `J_Bip_${s}_Foot`, `J_Bip_${s}_ToeBase`])];
+
+
+test('prefixes are stripped', () => {
+  assert.equal(stripBonePrefix('mixamorig:LeftForeArm'), 'LeftForeArm');
+  assert.equal(stripBonePrefix('mixamorigLeftForeArm'), 'LeftForeArm');
+  assert.equal(stripBonePrefix('Armature|mixamorig:Hips'), 'Hips');
+  assert.equal(stripBonePrefix('rig:Character1:spine_01'), 'spine_01');
+  assert.equal(stripBonePrefix('J_Bip_C_Hips'), 'Hips');
+  assert.equal(stripBonePrefix('J_Bip_L_UpperArm'), 'L_UpperArm');
+  assert.equal(stripBonePrefix('Bip01 R Calf'), 'R Calf');
+  assert.equal(stripBonePrefix('Bip001_Pelvis'), 'Pelvis');
+  // names that only start like a prefix
+  assert.equal(stripBonePrefix('Biped_Tail'), 'Biped_Tail');
+  assert.equal(stripBonePrefix('Bipod'), 'Bipod');
+  assert.equal(stripBonePrefix('J_Sec_Hair1_01'), 'J_Sec_Hair1_01');
+});
+
+
+test('VRM bones are guessed from the names of each rig', () => {
+  const cases = {
+    // Mixamo
+    'mixamorig:LeftForeArm': 'leftLowerArm',
+    'mixamorigRightUpLeg': 'rightUpperLeg',
+    'LeftHandPinky3': 'leftLittleDistal',
+    'mixamorig:RightHandThumb1': 'rightThumbMetacarpal',
+    'Spine2': 'spine2',
+    // Unreal
+    'upperarm_l': 'leftUpperArm',
+    'thumb_01_r': 'rightThumbMetacarpal',
+    'ball_l': 'leftToes',
+    'pelvis': 'hips',
+    'neck_01': 'neck',
+    'spine_03': 'spine03',
+    // CMU
+    'RHand': 'rightHand',
+    'Neck1': 'neck',
+    // VRoid and 3ds Max Biped
+    'J_Bip_C_Hips': 'hips',
+    'J_Bip_L_UpperArm': 'leftUpperArm',
+    'J_Bip_R_Index2': 'rightIndexIntermediate',
+    'J_Bip_C_UpperChest': 'upperChest',
+    'Bip01 R Calf': 'rightLowerLeg',
+    'L_Thigh': 'leftUpperLeg',
+  };
+  for (const [name, boneName] of Object.entries(cases)) {
+    assert.equal(guessVRMBoneName(name), boneName, name);
+  }
+});
+
+
+test('names that are not humanoid bones are not matched', () => {
+  for (const name of ['Bipod', 'Biped_Tail', 'Tail', 'J_Sec_Hair1_01', 'LeftEye', 'Ribbon_L', 'HairL',
+    'LThumb', 'hand', 'Leg', 'Left', 'HeadTop_End', 'LeftFingerBase', 'LHipJoint']) {
+    assert.equal(guessVRMBoneName(name), null, name);
+  }
+});
+
+
+test('registered maps are detected', () => {
+  assert.equal(detectRigMap(MIXAMO_BONES.map(name => `mixamorig:${name}`)), getRigMap('mixamo'));
+  assert.equal(detectRigMap(MIXAMO_BONES.map(name => `mixamorig${name}`)), getRigMap('mixamo'));
+  assert.equal(detectRigMap(UNREAL_BONES), getRigMap('unreal'));
+  // the thumbs match only in the CMU map
+  assert.equal(detectRigMap(CMU_BONES), getRigMap('cmu'));
+  assert.equal(getRigMap('cmu').LThumb, 'leftThumbProximal');
+});
+
+
+test('other rigs get a map guessed from the names', () => {
+  const map = detectRigMap(VROID_BONES);
+  assert.deepEqual(map, {
+    Hips: 'hips', Spine: 'spine', Chest: 'chest', UpperChest: 'upperChest', Neck: 'neck', Head: 'head',
+    ...Object.fromEntries([['L', 'left'], ['R', 'right']].flatMap(([s, side]) => [
+      [`${s}_Shoulder`, `${side}Shoulder`], [`${s}_UpperArm`, `${side}UpperArm`], [`${s}_LowerArm`, `${side}LowerArm`],
+      [`${s}_Hand`, `${side}Hand`], [`${s}_Index2`, `${side}IndexIntermediate`], [`${s}_UpperLeg`, `${side}UpperLeg`],
+      [`${s}_LowerLeg`, `${side}LowerLeg`], [`${s}_Foot`, `${side}Foot`], [`${s}_ToeBase`, `${side}Toes`]])),
+  });
+
+  // numbered spines: the first, second and last are spine, chest and upperChest
+  const biped = detectRigMap(['Bip01', 'Bip01 Pelvis', 'Bip01 Spine', 'Bip01 Spine1', 'Bip01 Spine2', 'Bip01 Spine3',
+    'Bip01 Neck', 'Bip01 Head', 'Bip01 L Thigh', 'Bip01 L Calf', 'Bip01 R Thigh', 'Bip01 R Calf', 'Bipod']);
+  assert.deepEqual(biped, {
+    Pelvis: 'hips', Spine: 'spine', Spine1: 'chest', Spine3: 'upperChest', Neck: 'neck', Head: 'head',
+    'L Thigh': 'leftUpperLeg', 'L Calf': 'leftLowerLeg', 'R Thigh': 'rightUpperLeg', 'R Calf': 'rightLowerLeg',
+  });
+});
+
+
+test('rig map options', () => {
+  const custom = { Root: 'hips' };
+  registerRigMap('test-custom', custom);
+  assert.equal(resolveRigMap('test-custom', []), custom);
+  assert.equal(resolveRigMap(custom, []), custom);
+  assert.equal(resolveRigMap('auto', UNREAL_BONES), getRigMap('unreal'));
+  assert.throws(() => resolveRigMap('blender', []), /Unknown rig map blender/);
+});
@@ -0,0 +1,187 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// Migrations and validation of data.json (gvrm-format/schema.js). Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FORMAT_VERSION, getFormatVersion, migrateGVRMData, validateGVRMData, assertValidGVRMData,
+} from '../gvrm-format/schema.js';
+
+
+function makeData() {
+  return {
+    formatVersion: FORMAT_VERSION,
+    modelScale: 1,
+    boneOperations: [],
+    gsPosition: [0, 0, 0],
+    gsQuaternion: [0, 0, 1, 0],
+    splatVertexIndices: [0, 1, 2],
+    splatBoneIndices: [4, 4, 7],
+    splatRelativePoses: [0, 0, 0, 0.1, 0, 0, 0, 0.1, 0],
+    splatPayload: { format: 'ply', files: ['model.ply'] },
+  };
+}
+
+
+test('data without formatVersion is version 0', () => {
+  assert.equal(getFormatVersion({}), 0);
+  assert.equal(getFormatVersion({ formatVersion: 3 }), 3);
+});
+
+
+test('version 0 is migrated to the current version', () => {
+  const { formatVersion, splatRelativePoses, splatPayload, ...legacy } = makeData();
+  legacy.relativePoses = splatRelativePoses;
+
+  const data = migrateGVRMData(legacy);
+  assert.equal(data.formatVersion, FORMAT_VERSION);
+  assert.deepEqual(data.splatRelativePoses, splatRelativePoses);
+  assert.equal(data.relativePoses, undefined);
+  assert.deepEqual(data.splatPayload, splatPayload);
+  assert.deepEqual(validateGVRMData(data), []);
+});
+
+
+test('splatRelativePoses is kept over relativePoses', () => {
+  const data = migrateGVRMData({ splatRelativePoses: [1, 2, 3], relativePoses: [4, 5, 6] });
+  assert.deepEqual(data.splatRelativePoses, [1, 2, 3]);
+});
+
+
+test('every older version is migrated', () => {
+  for (let version = 1; version < FORMAT_VERSION; version++) {
+    const { splatPayload, ...older } = makeData();
+    older.formatVersion = version;
+
+    const data = migrateGVRMData(older);
+    assert.equal(data.formatVersion, FORMAT_VERSION, `from version ${version}`);
+    assert.deepEqual(data.splatPayload, splatPayload, `from version ${version}`);
+    assert.deepEqual(validateGVRMData(data), [], `from version ${version}`);
+  }
+});
+
+
+test('an existing splatPayload is not replaced', () => {
+  const payload = { format: 'spz', files: ['model.spz'] };
+  const data = migrateGVRMData({ ...makeData(), formatVersion: 2, splatPayload: payload });
+  assert.deepEqual(data.splatPayload, payload);
+});
+
+
+test('typed arrays are accepted (decoded from splats.bin)', () => {
+  const data = {
+    ...makeData(),
+    splatVertexIndices: new Uint32Array([0, 1, 2]),
+    splatBoneIndices: new Uint8Array([4, 4, 7]),
+    splatRelativePoses: new Float32Array(9),
+  };
+  assert.deepEqual(validateGVRMData(data, { splatCount: 3, vertexCount: 3, boneCount: 8 }), []);
+});
+
+
+test('current data is unchanged', () => {
+  const data = makeData();
+  assert.deepEqual(migrateGVRMData(structuredClone(data)), data);
+});
+
+
+test('unknown versions are errors', () => {
+  assert.throws(() => migrateGVRMData({ formatVersion: FORMAT_VERSION + 1 }), /newer than supported/);
+  assert.throws(() => migrateGVRMData({ formatVersion: -1 }), /unknown formatVersion/);
+  assert.throws(() => migrateGVRMData({ formatVersion: '1' }), /unknown formatVersion/);
+});
+
+
+test('validation against the counts', () => {
+  const data = makeData();
+  assert.deepEqual(validateGVRMData(data, { splatCount: 3, vertexCount: 3, boneCount: 8 }), []);
+  assert.doesNotThrow(() => assertValidGVRMData(data, { splatCount: 3 }));
+
+  assert.match(validateGVRMData(data, { splatCount: 4 }).join('\n'), /splatVertexIndices has 3 values, expected 4/);
+  assert.match(validateGVRMData(data, { vertexCount: 2 }).join('\n'), /splatVertexIndices\[2\] = 2 is out of range/);
+  assert.match(validateGVRMData(data, { boneCount: 5 }).join('\n'), /splatBoneIndices\[2\] = 7 is out of range/);
+  assert.throws(() => assertValidGVRMData({ ...data, modelScale: 0 }), /modelScale must be a positive number/);
+});
+
+
+test('validation of the arrays', () => {
+  const data = makeData();
+  assert.match(validateGVRMData({ ...data, splatRelativePoses: [0, 0] }).join('\n'), /not a multiple of 3/);
+  assert.match(validateGVRMData({ ...data, splatBoneIndices: [4, 4] }).join('\n'), /have different lengths/);
+  assert.match(validateGVRMData({ ...data, splatRelativePoses: [0, NaN, 0, 0, 0, 0, 0, 0, 0] }).join('\n'),
+    /splatRelativePoses\[1\] = NaN is not a finite number/);
+  assert.match(validateGVRMData({ ...data, splatVertexIndices: undefined }).join('\n'), /splatVertexIndices is missing/);
+});
+
+
+test('sceneRanges must cover the splats by bone', () => {
+  const data = makeData();
+  const sceneRanges = [{ bone: 4, start: 0, count: 2 }, { bone: 7, start: 2, count: 1 }];
+  assert.deepEqual(validateGVRMData({ ...data, sceneRanges }), []);
+  assert.deepEqual(validateGVRMData({ ...data, sceneRanges }, { splatCount: 3 }), []);
+
+  assert.match(validateGVRMData({ ...data, sceneRanges: sceneRanges.slice(0, 1) }).join('\n'), /cover 2 splats, expected 3/);
+  assert.match(validateGVRMData({ ...data, sceneRanges: [sceneRanges[1], sceneRanges[0]] }).join('\n'), /is not contiguous/);
+  assert.match(validateGVRMData({ ...data, sceneRanges: [{ bone: 4, start: 0, count: 3 }] }).join('\n'),
+    /is for bone 4, but splatBoneIndices\[2\] = 7/);
+});
+
+
+test('payloads other than ply need sceneRanges', () => {
+  const data = makeData();
+  const sceneRanges = [{ bone: 4, start: 0, count: 2 }, { bone: 7, start: 2, count: 1 }];
+
+  assert.match(validateGVRMData({ ...data, splatPayload: undefined }).join('\n'), /splatPayload must have a format/);
+  assert.match(validateGVRMData({ ...data, splatPayload: { format: 'spz', files: ['model.spz'] } }).join('\n'),
+    /sceneRanges are required for the spz payload/);
+  assert.deepEqual(validateGVRMData({ ...data, sceneRanges, splatPayload: { format: 'spz', files: ['model.spz'] } }), []);
+  assert.match(validateGVRMData({ ...data, sceneRanges, splatPayload: { format: 'ksplat', files: ['scene0.ksplat'] } }).join('\n'),
+    /ksplat payload has 1 files, expected one per scene \(2\)/);
+});
+
+
+test('cleanupRules are distances by bone name', () => {
+  const data = makeData();
+  assert.deepEqual(validateGVRMData({ ...data, cleanupRules: { head: 0.3, hips: null } }), []);
+  assert.match(validateGVRMData({ ...data, cleanupRules: [0.3] }).join('\n'), /cleanupRules must be an object/);
+  assert.match(validateGVRMData({ ...data, cleanupRules: { head: -1 } }).join('\n'),
+    /cleanupRules\.head must be a non-negative number or null/);
+});
+
+
+test('boneNames bound the bone indices', () => {
+  const boneNames = ['hips', 'spine', 'chest', 'neck', 'head', 'leftUpperArm', 'leftLowerArm', 'leftHand'];
+  const data = { ...makeData(), boneNames };
+  assert.deepEqual(validateGVRMData(data), []);
+  assert.match(validateGVRMData({ ...data, boneNames: boneNames.slice(0, 5) }).join('\n'),
+    /splatBoneIndices\[2\] = 7 is out of range \(boneNames: 5\)/);
+  assert.match(validateGVRMData({ ...data, boneNames: [1, 2] }).join('\n'), /boneNames must be an array of strings/);
+});
+
+
+test('the triangle binding arrays are given together', () => {
+  const triangles = {
+    splatTriangles: [0, 1, 2, 0, 1, 2, 0, 1, 2],
+    splatBarycentrics: [0.25, 0.5, 0, 0, 1, 0],
+    splatNormalOffsets: [0.01, -0.02, 0],
+  };
+  const data = { ...makeData(), ...triangles };
+  assert.deepEqual(validateGVRMData(data, { splatCount: 3, vertexCount: 3 }), []);
+
+  assert.match(validateGVRMData({ ...data, splatNormalOffsets: undefined }).join('\n'), /must be given together/);
+  assert.match(validateGVRMData({ ...data, splatBarycentrics: [0, 0] }).join('\n'), /splatBarycentrics has 2 values, expected 6/);
+  assert.match(validateGVRMData(data, { vertexCount: 2 }).join('\n'), /splatTriangles\[2\] = 2 is out of range/);
+});
+
+
+test('splatLods are levels of lodFractions', () => {
+  const data = { ...makeData(), splatLods: [0, 1, 2], lodFractions: [1, 0.5, 0.25] };
+  assert.deepEqual(validateGVRMData(data, { splatCount: 3 }), []);
+
+  assert.match(validateGVRMData({ ...data, lodFractions: undefined }).join('\n'), /must be given together/);
+  assert.match(validateGVRMData({ ...data, lodFractions: [1, 0.5, 0.5] }).join('\n'), /lodFractions must be decreasing/);
+  assert.match(validateGVRMData({ ...data, lodFractions: [1, 0.5] }).join('\n'), /splatLods\[2\] = 2 is out of range/);
+});
@@ -0,0 +1,140 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+
+// gvrm-format/skinning.js against posed splats computed by hand. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { computePosedSplats } from '../gvrm-format/skinning.js';
+
+
+const SQRT1_2 = Math.SQRT1_2;
+
+// covariance of every splat (upper triangle: xx, xy, xz, yy, yz, zz)
+const COVARIANCE = [4, 0.5, 0, 1, 0, 0.25];
+
+// A hips bone at the origin and a chest bone at (0, 1, 0), with a mesh of 4 vertices:
+//   0: (0, 0, 0) on hips, 1: (0, 1, 0) and 2: (0, 2, 0) on chest, 3: (0, 2, 0) half on each.
+// The VRM scene is turned around Y as VRMUtils.rotateVRM0 does (mesh x, z -> world -x, -z),
+// and each splat is bound 0.1 along mesh x from its vertex.
+function makeAvatar() {
+  const hips = new THREE.Bone();
+  const chest = new THREE.Bone();
+  chest.position.set(0, 1, 0);
+  hips.add(chest);
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0, 0, 1, 0, 0, 2, 0, 0, 2, 0], 3));
+  geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute([0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0], 4));
+  geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute([1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0.5, 0.5, 0, 0], 4));
+
+  const skinnedMesh = new THREE.SkinnedMesh(geometry, new THREE.MeshBasicMaterial());
+  skinnedMesh.add(hips);
+  const scene = new THREE.Group();
+  scene.add(skinnedMesh);
+  scene.updateMatrixWorld(true);
+  skinnedMesh.bind(new THREE.Skeleton([hips, chest]));
+
+  scene.rotation.y = Math.PI;
+  scene.updateMatrixWorld(true);
+
+  // the pose the splats were bound in, as in GVRM.initVRM
+  skinnedMesh.skeleton.update();
+  skinnedMesh.boneTexture0 = { image: { data: skinnedMesh.skeleton.boneMatrices.slice() } };
+  skinnedMesh.bindMatrix0 = skinnedMesh.bindMatrix.clone();
+  skinnedMesh.bindMatrixInverse0 = skinnedMesh.bindMatrixInverse.clone();
+
+  const gs = {
+    splatCount: 4,
+    splatVertexIndices: new Uint32Array([0, 1, 2, 3]),
+    splatRelativePoses: new Float32Array([0.1, 0, 0, 0.1, 0, 0, 0.1, 0, 0, 0.1, 0, 0]),
+    covariances: new Float32Array([...COVARIANCE, ...COVARIANCE, ...COVARIANCE, ...COVARIANCE]),
+    matrix0: new THREE.Matrix4(),
+    viewer: { matrixWorld: new THREE.Matrix4() },
+  };
+  return { character: { skinnedMesh, currentVrm: { scene } }, gs, chest };
+}
+
+// chest turned 90 degrees around mesh z (world -z after the turn of the scene) by default
+function poseChest(gvrm, axis = new THREE.Vector3(0, 0, 1)) {
+  gvrm.chest.quaternion.setFromAxisAngle(axis, Math.PI / 2);
+  gvrm.character.currentVrm.scene.updateMatrixWorld(true);
+}
+
+function assertArrayClose(actual, expected, message) {
+  assert.equal(actual.length, expected.length, message);
+  expected.forEach((value, i) => {
+    assert.ok(Math.abs(actual[i] - value) < 1e-5, `${message}[${i}]: ${Array.from(actual)} != ${expected}`);
+  });
+}
+
+function assertSplat({ centers, covariances }, k, center, covariance) {
+  assertArrayClose(centers.subarray(k * 3, k * 3 + 3), center, `center ${k}`);
+  if (covariance) {
+    assertArrayClose(covariances.subarray(k * 6, k * 6 + 6), covariance, `covariance ${k}`);
+  }
+}
+
+
+test('bind pose: splats stay where they were bound', () => {
+  const gvrm = makeAvatar();
+  for (const skinning of ['linear', 'dualQuaternion']) {
+    const posed = computePosedSplats(gvrm, { skinning });
+    assertSplat(posed, 0, [-0.1, 0, 0], COVARIANCE);
+    assertSplat(posed, 1, [-0.1, 1, 0], COVARIANCE);
+    assertSplat(posed, 2, [-0.1, 2, 0], COVARIANCE);
+    assertSplat(posed, 3, [-0.1, 2, 0], COVARIANCE);
+  }
+});
+
+
+test('one rotated bone: its splats turn around it, the others stay', () => {
+  const gvrm = makeAvatar();
+  poseChest(gvrm);
+  const posed = computePosedSplats(gvrm);
+
+  // world rotation of the chest: (x, y, z) -> (y, -x, z), so xx <-> yy and xy -> -xy
+  const rotated = [1, -0.5, 0, 4, 0, 0.25];
+  assertSplat(posed, 0, [-0.1, 0, 0], COVARIANCE);
+  // vertex 1 is the pivot, the offset (0.1, 0, 0) turns to (0, 0.1, 0)
+  assertSplat(posed, 1, [0, 1.1, 0], rotated);
+  // vertex 2 goes to (-1, 1, 0) in the mesh
+  assertSplat(posed, 2, [1, 1.1, 0], rotated);
+  // linear blend: vertex (-0.5, 1.5, 0), offset (0.05, 0.05, 0)
+  assertSplat(posed, 3, [0.45, 1.55, 0]);
+
+  // splatIndices picks the splats
+  const picked = computePosedSplats(gvrm, { splatIndices: [2, 0] });
+  assertSplat(picked, 0, [1, 1.1, 0], rotated);
+  assertSplat(picked, 1, [-0.1, 0, 0], COVARIANCE);
+
+  // around y (the same in the world): (x, y, z) -> (z, y, -x), so xx <-> zz and xy -> -yz
+  poseChest(gvrm, new THREE.Vector3(0, 1, 0));
+  const turned = computePosedSplats(gvrm);
+  assertSplat(turned, 1, [0, 1, 0.1], [0.25, 0, 0, 1, -0.5, 4]);
+  assertSplat(turned, 2, [0, 2, 0.1], [0.25, 0, 0, 1, -0.5, 4]);
+});
+
+
+test('dual quaternion skinning: blended splats turn halfway around the bone', () => {
+  const gvrm = makeAvatar();
+  poseChest(gvrm);
+  const posed = computePosedSplats(gvrm, { skinning: 'dualQuaternion' });
+
+  // the same as linear skinning for splats on one bone
+  assertSplat(posed, 0, [-0.1, 0, 0], COVARIANCE);
+  assertSplat(posed, 2, [1, 1.1, 0], [1, -0.5, 0, 4, 0, 0.25]);
+
+  // 45 degrees around the chest: vertex (-sqrt1/2, 1 + sqrt1/2, 0), offset (0.1 sqrt1/2, 0.1 sqrt1/2, 0)
+  // covariance turned by 45 degrees: xx = 2 + 0.5 + 0.5, yy = 2 - 0.5 + 0.5, xy = -2 + 0.5
+  assertSplat(posed, 3, [0.9 * SQRT1_2, 1 + 1.1 * SQRT1_2, 0], [3, -1.5, 0, 2, 0, 0.25]);
+});
+
+
+test('unknown modes are errors', () => {
+  const gvrm = makeAvatar();
+  assert.throws(() => computePosedSplats(gvrm, { skinning: 'spline' }), /unknown skinning mode spline/);
+  assert.throws(() => computePosedSplats(gvrm, { offsetFrame: 'bone' }), /unknown offset frame bone/);
+});